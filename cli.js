@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+
+// Command-line interface - runs the replay library of index.js without starting the server
+// Examples for nightly processing:
+//   w3c-replay convert && w3c-replay export --format csv > games.csv
+//   w3c-replay stats --player Neko --json
+const library = require('./index')
+
+const EXPORT_FORMATS = ['csv', 'json']
+
+// Progress messages of index.js go to stderr, so stdout only carries the command output
+library.setLogger({ log: console.error, warn: console.warn, error: console.error })
+
+// Exit codes - failures are conversion errors, unknown players and replays without analysis
+const EXIT_SUCCESS = 0
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+
+const USAGE = `Usage: w3c-replay <command> [options]
+
+Commands:
+  convert [dir]           Convert every .w3g replay under dir to analysis JSON
+  stats [dir]             Player rankings, or one player's profile with --player
+  export [dir]            One row per player and game, as CSV or JSON
+  inspect <file.w3g>      Game details of one replay, or why it can't be read
+
+Options:
+  --player <name>         Limit stats or export to a player (aliases apply)
+  --mode <mode>           Limit stats or export to a game mode: ${Object.keys(library.GAME_MODES).join(', ')}
+  --format <csv|json>     Output format of export (default: csv)
+  --json                  Print JSON instead of a table
+  -h, --help              Show this help
+
+dir defaults to the replay folder of the server. Folders outside of it keep their own
+replay index and failures in replay_index.json and replay_failures.json inside the folder.`
+
+const OPTIONS = {
+    player: { type: 'string' },
+    mode: { type: 'string' },
+    format: { type: 'string', default: 'csv' },
+    json: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+}
+
+// Function to print the output of a command
+function print(text) {
+    process.stdout.write(text + '\n')
+}
+
+// Function to print an error with the usage hint, returns the usage exit code
+function usageError(message) {
+    process.stderr.write(`${message}\n\n${USAGE}\n`)
+    return EXIT_USAGE
+}
+
+// Function to format rows as a text table, columns are { key, label, align }
+function formatTable(columns, rows) {
+    const cells = rows.map(row => columns.map(column => String(row[column.key] ?? '')))
+    const widths = columns.map((column, index) =>
+        Math.max(column.label.length, ...cells.map(rowCells => rowCells[index].length))
+    )
+    const formatLine = values => values
+        .map((value, index) => columns[index].align === 'right' ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd()
+
+    return [
+        formatLine(columns.map(column => column.label)),
+        formatLine(widths.map(width => '-'.repeat(width))),
+        ...cells.map(formatLine)
+    ].join('\n')
+}
+
+// Function to quote a CSV value when it contains separators, quotes or line breaks
+function formatCsvValue(value) {
+    const text = String(value ?? '')
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Function to describe the resolved result of a game, e.g. "Team 1 won"
+function formatGameResult(outcome, winnerTeam) {
+    if (outcome === 'draw') return 'Draw'
+    if (outcome !== 'win') return 'Unknown'
+    return `Team ${winnerTeam + 1} won`
+}
+
+// Function to resolve the directory argument of a command, null if it isn't a directory
+// Folders outside the replay folder of the server get a replay index of their own
+function getDirectory(positionals) {
+    const dir = positionals.length > 0 ? path.resolve(positionals[0]) : library.DEFAULT_REPLAY_DIR
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return null
+
+    useReplayDir(dir)
+    return dir
+}
+
+// Function to point the library at the server's replay folder if it holds the path, or else at the given folder
+function useReplayDir(dir) {
+    if (!library.isInsideDirectory(library.DEFAULT_REPLAY_DIR, dir)) {
+        library.setReplayDir(dir)
+    }
+}
+
+// Command to convert the replays of a directory, fails if any replay couldn't be converted
+function runConvert(positionals, options) {
+    const dir = getDirectory(positionals)
+    if (!dir) return usageError(`Not a directory: ${positionals[0]}`)
+
+    const result = library.convertAllW3GInDirectory(dir)
+
+    if (options.json) {
+        print(JSON.stringify(result, null, 2))
+    } else {
+        print(formatTable(
+            [{ key: 'label', label: 'Replays' }, { key: 'count', label: 'Count', align: 'right' }],
+            [
+                { label: 'Total', count: result.totalFiles },
+                { label: 'Converted', count: result.convertedFiles },
+                { label: 'Up to date', count: result.skippedFiles },
+                { label: 'Errors', count: result.errorFiles }
+            ]
+        ))
+    }
+
+    return result.errorFiles > 0 ? EXIT_FAILURE : EXIT_SUCCESS
+}
+
+// Command to print the player rankings of a directory, or the profile of one player
+function runStats(positionals, options) {
+    const dir = getDirectory(positionals)
+    if (!dir) return usageError(`Not a directory: ${positionals[0]}`)
+
+    if (options.player) {
+        const playerName = library.normalizePlayerName(options.player)
+        const profile = library.generatePlayerProfile(dir, playerName, options.mode || null)
+
+        if (profile.totalGames === 0) {
+            process.stderr.write(`Player not found: ${options.player}\n`)
+            return EXIT_FAILURE
+        }
+
+        if (options.json) {
+            print(JSON.stringify(profile, null, 2))
+            return EXIT_SUCCESS
+        }
+
+        print(`${profile.name}: ${profile.totalGames} games, ${profile.wins}W - ${profile.losses}L ` +
+            `(${library.getWinRate(profile.wins, profile.losses)}%), ${profile.averageApm} APM, ` +
+            `${library.formatDuration(profile.averageDuration)} average game\n`)
+        print(formatTable(
+            [
+                { key: 'race', label: 'Race' },
+                { key: 'wins', label: 'Wins', align: 'right' },
+                { key: 'losses', label: 'Losses', align: 'right' },
+                { key: 'winRate', label: 'Win %', align: 'right' }
+            ],
+            Object.entries(profile.races).map(([race, record]) => ({
+                race,
+                ...record,
+                winRate: library.getWinRate(record.wins, record.losses)
+            }))
+        ))
+        print('')
+        print(formatTable(
+            [
+                { key: 'date', label: 'Date' },
+                { key: 'map', label: 'Map' },
+                { key: 'matchup', label: 'Matchup' },
+                { key: 'duration', label: 'Duration', align: 'right' },
+                { key: 'apm', label: 'APM', align: 'right' },
+                { key: 'result', label: 'Result' }
+            ],
+            profile.games.map(game => ({
+                ...game,
+                date: library.formatDateTime(game.time),
+                duration: library.formatDuration(game.duration)
+            }))
+        ))
+        return EXIT_SUCCESS
+    }
+
+    const stats = library.generateDashboardStats(dir, options.mode || null)
+    const rankings = Object.entries(stats.playerStats)
+        .map(([name, playerStat]) => ({
+            name,
+            games: playerStat.games,
+            wins: playerStat.wins,
+            losses: playerStat.losses,
+            winRate: library.getWinRate(playerStat.wins, playerStat.losses)
+        }))
+        .sort((a, b) => b.winRate - a.winRate || b.wins - a.wins)
+
+    if (options.json) {
+        print(JSON.stringify({ ...stats, rankings }, null, 2))
+        return EXIT_SUCCESS
+    }
+
+    print(`${stats.totalGames} games counted, ${stats.excludedGames} excluded, ` +
+        `${stats.duplicateCopies} duplicate recordings, ${stats.failedGames} failed\n`)
+    print(formatTable(
+        [
+            { key: 'name', label: 'Player' },
+            { key: 'games', label: 'Games', align: 'right' },
+            { key: 'wins', label: 'Wins', align: 'right' },
+            { key: 'losses', label: 'Losses', align: 'right' },
+            { key: 'winRate', label: 'Win %', align: 'right' }
+        ],
+        rankings
+    ))
+    return EXIT_SUCCESS
+}
+
+// Command to export one row per player and game of a directory
+// Every recording is exported, `excluded` and `duplicateOf` (the canonical copy) tell which rows statistics skip
+function runExport(positionals, options) {
+    const dir = getDirectory(positionals)
+    if (!dir) return usageError(`Not a directory: ${positionals[0]}`)
+    if (!EXPORT_FORMATS.includes(options.format)) return usageError(`Unknown export format: ${options.format}`)
+
+    const playerFilter = options.player ? library.normalizePlayerName(options.player).toLowerCase() : null
+    const games = library.syncReplayIndex(dir)
+    const duplicates = library.getDuplicateMatches(dir)
+    const rows = games
+        .filter(gameData => gameData.game && (!options.mode || gameData.mode === options.mode))
+        .sort((a, b) => a.time - b.time)
+        .flatMap(gameData => {
+            const result = library.resolveGameResult(gameData)
+            const match = duplicates.get(gameData.path)
+
+            return library.getGameParticipants(gameData).map(player => ({
+                path: gameData.path,
+                date: new Date(gameData.time).toISOString(),
+                map: library.getMapName(gameData.game.map),
+                mode: gameData.mode,
+                duration: Math.round((gameData.header ? gameData.header.length : 0) / 1000),
+                excluded: gameData.excluded || null,
+                duplicateOf: match && match.canonical !== gameData.path ? match.canonical : null,
+                player: library.getStatsPlayerName(player),
+                race: player.race_detected || player.race,
+                team: player.team,
+                apm: Math.round(player.apm || 0),
+                result: library.getPlayerResult(result, player),
+                resultConfidence: result.confidence
+            }))
+        })
+        .filter(row => !playerFilter || row.player.toLowerCase() === playerFilter)
+
+    if (options.format === 'json') {
+        print(JSON.stringify(rows, null, 2))
+    } else {
+        const columns = ['path', 'date', 'map', 'mode', 'duration', 'excluded', 'duplicateOf', 'player', 'race', 'team', 'apm', 'result', 'resultConfidence']
+        print([columns.join(','), ...rows.map(row => columns.map(column => formatCsvValue(row[column])).join(','))].join('\n'))
+    }
+
+    return EXIT_SUCCESS
+}
+
+// Command to show one replay, converting it first if needed
+// Fails when there's no analysis of the replay, the failure diagnosis explains why
+function runInspect(positionals, options) {
+    if (positionals.length !== 1) return usageError('inspect needs exactly one .w3g file')
+
+    const filePath = path.resolve(positionals[0])
+    if (!/\.w3g$/i.test(filePath)) return usageError(`Not a .w3g replay: ${positionals[0]}`)
+    if (!fs.existsSync(filePath)) {
+        process.stderr.write(`File not found: ${positionals[0]}\n`)
+        return EXIT_FAILURE
+    }
+
+    useReplayDir(path.dirname(filePath))
+    library.convertW3GToJSON(filePath)
+
+    const analysisPath = library.getAnalysisPath(filePath)
+    const preview = fs.existsSync(analysisPath) ? library.getPreviewData(analysisPath) : null
+    const relativePath = library.getReplayRelativePath(filePath)
+    const failure = library.getReplayFailures().find(entry => entry.path === relativePath) || null
+    const exitCode = preview ? EXIT_SUCCESS : EXIT_FAILURE
+
+    if (options.json) {
+        print(JSON.stringify({ path: filePath, preview, failure }, null, 2))
+        return exitCode
+    }
+
+    print(filePath)
+    if (failure) {
+        print(`Problem: ${failure.reason}${preview ? ' (showing an earlier analysis)' : ''}`)
+    }
+    if (!preview) return exitCode
+
+    const { gameInfo } = preview
+    print(`Map: ${gameInfo.map}`)
+    print(`Mode: ${library.GAME_MODES[gameInfo.mode] || 'Unknown'}`)
+    print(`Duration: ${library.formatDuration(gameInfo.duration)}`)
+    print(`Result: ${formatGameResult(gameInfo.outcome, gameInfo.winnerTeam)} (${gameInfo.resultConfidence || 'no evidence'})`)
+    if (preview.excluded) {
+        print(`Not counted: ${preview.excluded}`)
+    }
+    print('')
+    print(formatTable(
+        [
+            { key: 'name', label: 'Player' },
+            { key: 'race', label: 'Race' },
+            { key: 'team', label: 'Team', align: 'right' },
+            { key: 'apm', label: 'APM', align: 'right' }
+        ],
+        preview.players.map(player => ({
+            name: player.normalizedName ? `${player.name} (${player.normalizedName})` : player.name,
+            race: player.raceDetected ? `${player.race} (${player.raceDetected})` : player.race,
+            team: player.team + 1,
+            apm: player.apm
+        }))
+    ))
+
+    return exitCode
+}
+
+const COMMANDS = {
+    convert: runConvert,
+    stats: runStats,
+    export: runExport,
+    inspect: runInspect
+}
+
+// Function to run a command line, returns the exit code
+function main(args) {
+    let parsed
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true })
+    } catch (error) {
+        return usageError(error.message)
+    }
+
+    const { values: options, positionals } = parsed
+    const [command, ...commandArgs] = positionals
+
+    if (options.help) {
+        print(USAGE)
+        return EXIT_SUCCESS
+    }
+    if (!command) return usageError('Missing command')
+    if (!COMMANDS[command]) return usageError(`Unknown command: ${command}`)
+    if (options.mode && !Object.keys(library.GAME_MODES).includes(options.mode)) {
+        return usageError(`Unknown game mode: ${options.mode}`)
+    }
+
+    try {
+        return COMMANDS[command](commandArgs, options)
+    } catch (error) {
+        process.stderr.write(`${command} failed: ${error.message}\n`)
+        return EXIT_FAILURE
+    }
+}
+
+process.exitCode = main(process.argv.slice(2))
@@ -0,0 +1,12 @@
+const { parentPort } = require('worker_threads')
+const { convertReplay } = require('./replay_analysis')
+
+// Worker thread of the conversion job queue in index.js
+// Parses and caches one replay per message and sends back the cache path, so the server stays responsive
+parentPort.on('message', ({ filePath }) => {
+    try {
+        parentPort.postMessage(convertReplay(filePath))
+    } catch (error) {
+        parentPort.postMessage({ error: error.message })
+    }
+})
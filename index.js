@@ -1,19 +1,96 @@
 const express = require('express')
 const fs = require('fs')
 const path = require('path')
-const W3GReplay = require('w3g')
+const os = require('os')
+const { Worker } = require('worker_threads')
+const multer = require('multer')
+const AdmZip = require('adm-zip')
+const { normalizeReplayText } = require('./replay_text')
+const {
+    ANALYSIS_SCHEMA_VERSION,
+    PARSER_VERSION,
+    ANALYSIS_GZIP,
+    ANALYSIS_FILE_PATTERN,
+    REFORGED_MAJOR_VERSION,
+    getAnalysisPath,
+    getReplayPathOfAnalysis,
+    hashReplayFile,
+    readAnalysisJson,
+    saveAnalysis,
+    convertReplay,
+    readReplayHeader,
+    readReplayFileHeader,
+    readReplayBlocks,
+    readReplayGameHeader,
+    countReplayActions,
+    addApmTimelines
+} = require('./replay_analysis')
+const { getMapPreview } = require('./map_preview')
 
 const app = express()
 const PORT = 3010
 
-// Player Name Mapper - Edit this object to map different names to the same player
-// This affects dashboard statistics and file previews by grouping name variations
-// Example: If a player uses "playa", "playAB", and "PlayerA", you can map the first two to "PlayerA"
-const PLAYER_NAME_MAPPER = {
-    'NekoChan': 'Neko'
+// Messages of the server and the library go through this logger, cli.js swaps it to keep stdout for its output
+let logger = console
+
+// Function to replace the logger, it needs log, warn and error methods like console
+function setLogger(newLogger) {
+    logger = newLogger
+}
+
+// Replay Folder - replays are read from replay/, with the replay index, the failures registry and the
+// result overrides kept next to it. Their replay paths are relative to this folder, so the command-line
+// interface points the library at any other folder with setReplayDir, whose data files are kept inside it
+const DEFAULT_REPLAY_DIR = path.join(__dirname, 'replay')
+let replayDir = DEFAULT_REPLAY_DIR
+
+// Function to get the path of a data file of the replay folder, e.g. replay_index.json
+function getDataFilePath(fileName) {
+    return path.join(replayDir === DEFAULT_REPLAY_DIR ? __dirname : replayDir, fileName)
+}
+
+// Function to switch to another replay folder, loading its index, failures and result overrides
+function setReplayDir(dir) {
+    replayDir = dir
+    replayIndex = null
+    replayIndexDirty = false
+    duplicateMatchCache.clear()
+    replayFailures = loadReplayFailures()
+    resultOverrides = loadResultOverrides()
+}
+
+// Function to check whether a path is a directory or lies inside it
+// Requested paths are checked with it, a plain prefix check would let through siblings like replay_index.json
+function isInsideDirectory(dir, filePath) {
+    const relativePath = path.relative(dir, filePath)
+    return relativePath === '' || (relativePath !== '..' && !relativePath.startsWith('..' + path.sep) && !path.isAbsolute(relativePath))
+}
+
+// Player Aliases - maps different names to the same player, stored in player_aliases.json
+// This affects dashboard statistics, ratings and file previews by grouping name variations
+// Example: If a player uses "playa", "playAB", and "PlayerA", map the first two to "PlayerA"
+// Aliases are managed through the /api/aliases endpoints and take effect immediately
+const PLAYER_ALIASES_FILE = path.join(__dirname, 'player_aliases.json')
+let playerAliases = loadPlayerAliases()
+
+// Function to load player aliases from the config file
+function loadPlayerAliases() {
+    try {
+        if (fs.existsSync(PLAYER_ALIASES_FILE)) {
+            return JSON.parse(fs.readFileSync(PLAYER_ALIASES_FILE, 'utf8'))
+        }
+    } catch (error) {
+        logger.error('Failed to read player aliases:', error.message)
+    }
+    return {}
+}
+
+// Function to write player aliases to the config file
+function savePlayerAliases() {
+    fs.writeFileSync(PLAYER_ALIASES_FILE, JSON.stringify(playerAliases, null, 2) + '\n')
 }
 
-// Function to normalize player names using the mapper
+// Function to normalize player names using the aliases
 function normalizePlayerName(playerName) {
     if (!playerName) return playerName
     
@@ -21,7 +98,7 @@ function normalizePlayerName(playerName) {
     const lowerName = playerName.toLowerCase()
     
     // Check if there's a mapping for this name
-    for (const [variation, mainName] of Object.entries(PLAYER_NAME_MAPPER)) {
+    for (const [variation, mainName] of Object.entries(playerAliases)) {
         if (variation.toLowerCase() === lowerName) {
             return mainName
         }
@@ -33,473 +110,4098 @@ function normalizePlayerName(playerName) {
 
 // Serve static files
 app.use(express.static('static'))
+app.use(express.json())
+
+// Replay Index - a summary of the analysis data of every replay, kept in memory and persisted to disk
+// Entries are refreshed only when the analysis JSON file changes (by mtime and size),
+// so read endpoints don't have to re-read and parse every JSON file on each request
+// Entries keep what statistics, search and previews read: game settings, length, chat and per-player
+// stats, heroes and counts. Full build orders and timings are read from the cache of a single replay
+const REPLAY_INDEX_FILE = 'replay_index.json'
+const REPLAY_INDEX_VERSION = 8
+const INDEX_GAME_FIELDS = ['map', 'type', 'player_count', 'start_spots', 'random_seed', 'saver_id', 'saver_name', 'winner_team']
+const INDEX_PLAYER_FIELDS = [
+    'player_id', 'name', 'team', 'color', 'race', 'race_detected', 'computer', 'ai_strength',
+    'actions', 'apm', 'apm_timeline', 'time', 'leave_reason', 'leave_result', 'hotkeys'
+]
+// Action counts read by the hotkey habits
+const INDEX_ACTION_FIELDS = ['Select group hotkey', 'Select / deselect', 'Assign group hotkey']
+let replayIndex = null
+let replayIndexDirty = false
+// Duplicate matches grouped per directory, dropped whenever a game is added, changed or removed
+const duplicateMatchCache = new Map()
+
+// Function to load the replay index from disk
+function loadReplayIndex() {
+    if (replayIndex) return replayIndex
 
-// Function to convert W3G file to JSON
-function convertW3GToJSON(w3gFilePath) {
-    const jsonFilePath = w3gFilePath.replace(/\.w3g$/i, '.w3g_analysis.json')
-    
     try {
-        // Check if JSON file already exists and is newer than W3G file
-        if (fs.existsSync(jsonFilePath)) {
-            const w3gStat = fs.statSync(w3gFilePath)
-            const jsonStat = fs.statSync(jsonFilePath)
-            
-            if (jsonStat.mtime >= w3gStat.mtime) {
-                console.log(`Skipping ${path.basename(w3gFilePath)} - JSON file is up to date`)
-                return true
+        if (fs.existsSync(getDataFilePath(REPLAY_INDEX_FILE))) {
+            const data = JSON.parse(fs.readFileSync(getDataFilePath(REPLAY_INDEX_FILE), 'utf8'))
+
+            if (data.version === REPLAY_INDEX_VERSION) {
+                replayIndex = data
+                return replayIndex
             }
+
+            logger.log('Replay index format changed, rebuilding it...')
         }
-        
-        console.log(`Converting ${path.basename(w3gFilePath)} to JSON...`)
-        const replayData = new W3GReplay(w3gFilePath)
-        fs.writeFileSync(jsonFilePath, JSON.stringify(replayData, null, 2))
-        console.log(`✓ Converted ${path.basename(w3gFilePath)}`)
-        return true
     } catch (error) {
-        console.error(`✗ Failed to convert ${path.basename(w3gFilePath)}:`, error.message)
-        return false
+        logger.warn('Failed to read replay index, rebuilding it:', error.message)
     }
+
+    replayIndex = { version: REPLAY_INDEX_VERSION, games: {} }
+    markReplayIndexChanged()
+    return replayIndex
 }
 
-// Function to convert all W3G files in a directory to JSON
-function convertAllW3GInDirectory(dir) {
-    let totalFiles = 0
-    let convertedFiles = 0
-    let skippedFiles = 0
-    let errorFiles = 0
-    
-    function processDirectory(currentDir) {
-        try {
-            const items = fs.readdirSync(currentDir)
-            
-            for (const item of items) {
-                const fullPath = path.join(currentDir, item)
-                const stat = fs.statSync(fullPath)
-                
-                if (stat.isDirectory()) {
-                    processDirectory(fullPath)
-                } else if (item.toLowerCase().endsWith('.w3g')) {
-                    totalFiles++
-                    const jsonPath = fullPath.replace(/\.w3g$/i, '.w3g_analysis.json')
-                    
-                    if (fs.existsSync(jsonPath)) {
-                        const w3gStat = fs.statSync(fullPath)
-                        const jsonStat = fs.statSync(jsonPath)
-                        
-                        if (jsonStat.mtime >= w3gStat.mtime) {
-                            skippedFiles++
-                            continue
-                        }
-                    }
-                    
-                    if (convertW3GToJSON(fullPath)) {
-                        convertedFiles++
-                    } else {
-                        errorFiles++
-                    }
-                }
-            }
-        } catch (error) {
-            console.error(`Error processing directory ${currentDir}:`, error.message)
-        }
-    }
-    
-    console.log('🔄 Starting W3G to JSON conversion...')
-    processDirectory(dir)
-    console.log(`📊 Conversion complete: ${totalFiles} total, ${convertedFiles} converted, ${skippedFiles} skipped, ${errorFiles} errors`)
-    
-    return { totalFiles, convertedFiles, skippedFiles, errorFiles }
+// Function to note that games of the index were added, changed or removed
+function markReplayIndexChanged() {
+    replayIndexDirty = true
+    duplicateMatchCache.clear()
 }
 
-// Function to get preview data from JSON file
-function getPreviewData(jsonPath) {
+// Function to write the replay index to disk if it has changed
+function saveReplayIndex() {
+    if (!replayIndex || !replayIndexDirty) return
+
     try {
-        if (!fs.existsSync(jsonPath)) return null
-        
-        const jsonData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'))
-        
-        // Extract preview information
-        const preview = {
-            players: [],
-            winners: [],
-            gameInfo: {}
-        }
-        
-        // Extract game info
-        if (jsonData.game) {
-            preview.gameInfo = {
-                playerCount: jsonData.game.player_count,
-                map: jsonData.game.map ? jsonData.game.map.split('\\').pop().replace('.w3x', '') : 'Unknown',
-                duration: jsonData.header ? jsonData.header.length : 0,
-                winnerTeam: jsonData.game.winner_team
-            }
-        }
-        
-        // Extract player information
-        if (jsonData.teams && Array.isArray(jsonData.teams)) {
-            jsonData.teams.forEach(team => {
-                if (team !== null && typeof team === 'object') {
-                    Object.values(team).forEach(player => {
-                        if (player && player.actions > 0) {
-                            const originalName = player.name
-                            const normalizedName = normalizePlayerName(originalName)
-                            
-                            preview.players.push({
-                                name: originalName,
-                                normalizedName: normalizedName !== originalName ? normalizedName : null,
-                                race: player.race,
-                                raceDetected: player.race_detected,
-                                color: player.color,
-                                team: player.team,
-                                apm: Math.round(player.apm || 0)
-                            })
-                            
-                            // Check if this player is a winner
-                            if (player.team === jsonData.game.winner_team) {
-                                preview.winners.push({
-                                    name: originalName,
-                                    normalizedName: normalizedName !== originalName ? normalizedName : null,
-                                    color: player.color
-                                })
-                            }
-                        }
-                    })
-                }
-            })
-        }
-        
-        return preview
+        fs.writeFileSync(getDataFilePath(REPLAY_INDEX_FILE), JSON.stringify(replayIndex))
+        replayIndexDirty = false
     } catch (error) {
-        console.error(`Error reading preview from ${jsonPath}:`, error.message)
-        return null
+        logger.warn('Failed to save replay index:', error.message)
     }
 }
-// Function to get contents of a specific directory
-function getDirectoryContents(dir, basePath = '') {
-    const items = []
 
-    try {
-        const dirItems = fs.readdirSync(dir)
+// Function to get the index key of an analysis JSON file (the replay path relative to replay/)
+function getIndexKey(jsonPath) {
+    const w3gPath = getReplayPathOfAnalysis(jsonPath)
+    return path.relative(replayDir, w3gPath).replace(/\\/g, '/')
+}
 
-        for (const item of dirItems) {
-            const fullPath = path.join(dir, item)
-            const relativePath = path.join(basePath, item)
-            const stat = fs.statSync(fullPath)
+// Function to describe the race matchup of a game, e.g. "Human + Orc vs Undead + Undead"
+function getMatchup(jsonData) {
+    const teamRaces = {}
 
-            if (stat.isDirectory()) {
-                items.push({
-                    name: item,
-                    path: relativePath.replace(/\\/g, '/'),
-                    type: 'folder',
-                    size: null,
-                    modified: stat.mtime
-                })
-            } else if (item.toLowerCase().endsWith('.w3g')) {
-                const jsonPath = fullPath.replace(/\.w3g$/i, '.w3g_analysis.json')
-                const hasJsonFile = fs.existsSync(jsonPath)
-                const preview = hasJsonFile ? getPreviewData(jsonPath) : null
-                
-                items.push({
-                    name: item,
-                    path: relativePath.replace(/\\/g, '/'),
-                    type: 'file',
-                    size: stat.size,
-                    modified: stat.mtime,
-                    hasAnalysis: hasJsonFile,
-                    preview: preview
+    if (jsonData.teams && Array.isArray(jsonData.teams)) {
+        jsonData.teams.forEach(team => {
+            if (team !== null && typeof team === 'object') {
+                Object.values(team).forEach(player => {
+                    if (player && player.actions > 0) {
+                        if (!teamRaces[player.team]) {
+                            teamRaces[player.team] = []
+                        }
+                        teamRaces[player.team].push(player.race_detected || player.race)
+                    }
                 })
             }
-        }
-    } catch (error) {
-        console.error(`Error reading directory ${dir}:`, error.message)
-        throw error
+        })
     }
 
-    return items
+    return Object.values(teamRaces)
+        .map(races => races.sort().join(' + '))
+        .sort()
+        .join(' vs ')
 }
 
-// API endpoint to browse folders and files
-app.get('/api/browse', (req, res) => {
-    const requestedPath = req.query.path || ''
-    const targetDir = path.join(__dirname, 'replay', requestedPath)
-
-    // Security check to ensure the path is within the replay directory
-    if (!targetDir.startsWith(path.join(__dirname, 'replay'))) {
-        return res.status(403).json({ error: 'Access denied' })
-    }
+// Function to copy the given fields of an object that are set
+function pickFields(source, fields) {
+    const picked = {}
 
-    if (!fs.existsSync(targetDir)) {
-        return res.status(404).json({ error: 'Directory not found' })
-    }
+    fields.forEach(field => {
+        if (source[field] !== undefined) picked[field] = source[field]
+    })
 
-    const stat = fs.statSync(targetDir)
-    if (!stat.isDirectory()) {
-        return res.status(400).json({ error: 'Path is not a directory' })
-    }
+    return picked
+}
 
-    try {
-        const items = getDirectoryContents(targetDir, requestedPath)
+// Function to cut a build order down to the opener and the first building of each kind,
+// which is all openers and milestones read
+function getIndexedBuildOrder(buildings) {
+    const order = {}
+    const seen = new Set()
 
-        // Add parent directory navigation (except for root)
-        const response = {
-            currentPath: requestedPath,
-            items: items
+    getOrderedEntries(buildings).forEach((entry, index) => {
+        if (index < OPENER_BUILDINGS || !seen.has(entry.name)) {
+            order[entry.time] = entry.name
         }
+        seen.add(entry.name)
+    })
 
-        if (requestedPath !== '') {
-            const parentPath = path.dirname(requestedPath)
-            response.parentPath =
-                parentPath === '.' ? '' : parentPath.replace(/\\/g, '/')
-        }
+    return order
+}
 
-        res.json(response)
-    } catch (error) {
-        res.status(500).json({
-            error: 'Failed to read directory: ' + error.message
-        })
-    }
-})
+// Function to cut the heroes of a player down to their pick order, level, revivals and skill order
+function getIndexedHeroes(heroes) {
+    const indexed = { order: heroes.order || {} }
 
-// API endpoint to serve a specific .w3g file
-app.get('/api/download', (req, res) => {
-    const requestedPath = req.query.path
+    Object.entries(heroes).forEach(([name, hero]) => {
+        if (name === 'order' || !hero || typeof hero !== 'object') return
 
-    if (!requestedPath) {
-        return res.status(400).json({ error: 'Path parameter is required' })
-    }
+        indexed[name] = {
+            level: hero.level,
+            revivals: hero.revivals,
+            abilities: { order: (hero.abilities && hero.abilities.order) || {} }
+        }
+    })
 
-    const filePath = path.join(__dirname, 'replay', requestedPath)
+    return indexed
+}
 
-    // Security check to ensure the file is within the replay directory
-    if (!filePath.startsWith(path.join(__dirname, 'replay'))) {
-        return res.status(403).json({ error: 'Access denied' })
+// Function to get the summary of a player kept in the index
+function summarizePlayer(player) {
+    return {
+        ...pickFields(player, INDEX_PLAYER_FIELDS),
+        actions_details: pickFields(player.actions_details || {}, INDEX_ACTION_FIELDS),
+        heroes: player.heroes ? getIndexedHeroes(player.heroes) : undefined,
+        units: getSectionCounts(player.units),
+        buildings: { order: getIndexedBuildOrder(player.buildings) },
+        items: getSectionCounts(player.items)
     }
+}
 
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' })
-    }
+// Function to build the index entry of a game from its analysis data
+function buildIndexRecord(jsonData, jsonPath, stat) {
+    return {
+        path: getIndexKey(jsonPath),
+        mtime: stat.mtimeMs,
+        size: stat.size,
+        time: getReplayTimestamp(getReplayPathOfAnalysis(jsonPath)),
+        matchup: getMatchup(jsonData),
+        mode: getGameMode(jsonData),
+        excluded: getExclusionReason(jsonData),
+        cache: jsonData.cache || null,
+        game: jsonData.game ? pickFields(jsonData.game, INDEX_GAME_FIELDS) : null,
+        header: { length: jsonData.header ? jsonData.header.length : 0 },
+        teams: (jsonData.teams || []).map(team => {
+            if (team === null || typeof team !== 'object') return team
 
-    res.download(filePath)
-})
+            return Object.fromEntries(Object.entries(team).map(([key, player]) => [key, player ? summarizePlayer(player) : player]))
+        }),
+        chat: jsonData.chat || []
+    }
+}
 
-// API endpoint to analyze a .w3g file
-app.get('/api/analyze', (req, res) => {
-    const requestedPath = req.query.path
+// Function to get the indexed game of an analysis JSON file, re-parsing it if it has changed
+function getIndexedGame(jsonPath) {
+    const index = loadReplayIndex()
+    const key = getIndexKey(jsonPath)
 
-    if (!requestedPath) {
-        return res.status(400).json({ error: 'Path parameter is required' })
+    if (!fs.existsSync(jsonPath)) {
+        if (index.games[key]) {
+            delete index.games[key]
+            markReplayIndexChanged()
+        }
+        return null
     }
 
-    const filePath = path.join(__dirname, 'replay', requestedPath)
-    const jsonFilePath = filePath.replace(/\.w3g$/i, '.w3g_analysis.json')
+    const stat = fs.statSync(jsonPath)
+    const record = index.games[key]
 
-    // Security check to ensure the file is within the replay directory
-    if (!filePath.startsWith(path.join(__dirname, 'replay'))) {
-        return res.status(403).json({ error: 'Access denied' })
+    if (record && record.mtime === stat.mtimeMs && record.size === stat.size) {
+        return record
     }
 
-    if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' })
+    try {
+        const jsonData = readAnalysisFile(jsonPath)
+        index.games[key] = buildIndexRecord(jsonData, jsonPath, stat)
+        markReplayIndexChanged()
+        return index.games[key]
+    } catch (parseError) {
+        logger.warn(`Failed to parse ${jsonPath}:`, parseError.message)
+        return null
     }
+}
 
-    try {
-        // Try to read from JSON file first
-        if (fs.existsSync(jsonFilePath)) {
-            const w3gStat = fs.statSync(filePath)
-            const jsonStat = fs.statSync(jsonFilePath)
-            
-            // If JSON is newer than W3G, use JSON file
-            if (jsonStat.mtime >= w3gStat.mtime) {
-                console.log(`Reading analysis from JSON file: ${path.basename(jsonFilePath)}`)
-                const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'))
-                return res.json(jsonData)
-            }
-        }
-        
-        // If no JSON file or it's outdated, convert W3G file
-        console.log(`Converting W3G file: ${path.basename(filePath)}`)
-        const replayData = new W3GReplay(filePath)
-        
-        // Save JSON file for future use
+// Function to bring the index up to date for a directory and get its games in chronological order
+function syncReplayIndex(dir) {
+    const index = loadReplayIndex()
+    const games = []
+    const seenKeys = new Set()
+
+    function processDirectory(currentDir) {
         try {
-            fs.writeFileSync(jsonFilePath, JSON.stringify(replayData, null, 2))
-            console.log(`Saved analysis to: ${path.basename(jsonFilePath)}`)
-        } catch (saveError) {
-            console.warn(`Failed to save JSON file: ${saveError.message}`)
-        }
-        
-        res.json(replayData)
-    } catch (error) {
-        console.error('Error parsing W3G file:', error)
-        res.status(500).json({
-            error: 'Failed to parse W3G file',
-            details: error.message
-        })
-    }
-})
+            const items = fs.readdirSync(currentDir)
 
-// API endpoint to trigger conversion of all W3G files
-app.post('/api/convert', (req, res) => {
-    const requestedPath = req.query.path || ''
-    const targetDir = path.join(__dirname, 'replay', requestedPath)
+            for (const item of items) {
+                const fullPath = path.join(currentDir, item)
+                const stat = fs.statSync(fullPath)
 
-    // Security check to ensure the path is within the replay directory
-    if (!targetDir.startsWith(path.join(__dirname, 'replay'))) {
-        return res.status(403).json({ error: 'Access denied' })
+                if (stat.isDirectory()) {
+                    processDirectory(fullPath)
+                } else if (ANALYSIS_FILE_PATTERN.test(item)) {
+                    const record = getIndexedGame(fullPath)
+                    if (record) {
+                        seenKeys.add(record.path)
+                        games.push(record)
+                    }
+                }
+            }
+        } catch (error) {
+            logger.error(`Error processing directory ${currentDir}:`, error.message)
+        }
     }
 
-    if (!fs.existsSync(targetDir)) {
-        return res.status(404).json({ error: 'Directory not found' })
+    processDirectory(dir)
+
+    // Drop entries of analysis files that no longer exist in this directory
+    const relativeDir = path.relative(replayDir, dir).replace(/\\/g, '/')
+    const prefix = relativeDir ? relativeDir + '/' : ''
+    Object.keys(index.games).forEach(key => {
+        if (key.startsWith(prefix) && !seenKeys.has(key)) {
+            delete index.games[key]
+            markReplayIndexChanged()
+        }
+    })
+
+    saveReplayIndex()
+
+    return games.sort((a, b) => a.time - b.time)
+}
+
+// Analysis Cache - caches are written by replay_analysis.js, the index decides when they are outdated
+
+// Function to check whether the analysis cache of a replay was written by this schema and parser from the same replay
+// The cache versions and source stats come from the replay index, so the cache file itself is only read when it
+// changed, and the replay is only hashed when its mtime doesn't match (e.g. after a copy)
+function isAnalysisUpToDate(w3gFilePath) {
+    const analysisPath = getAnalysisPath(w3gFilePath)
+    if (!fs.existsSync(analysisPath)) return false
+
+    try {
+        const record = getIndexedGame(analysisPath)
+        const cache = record && record.cache
+        if (!cache || cache.schemaVersion !== ANALYSIS_SCHEMA_VERSION || cache.parserVersion !== PARSER_VERSION) {
+            return false
+        }
+
+        const stat = fs.statSync(w3gFilePath)
+        if (stat.size !== cache.sourceSize) return false
+        if (stat.mtimeMs === cache.sourceMtime) return true
+
+        // Replays that were copied or touched keep their cache as long as the content is the same,
+        // the new mtime is remembered in the index so the next check doesn't hash again
+        if (hashReplayFile(w3gFilePath) !== cache.sourceHash) return false
+
+        record.cache = { ...cache, sourceMtime: stat.mtimeMs }
+        replayIndexDirty = true
+        return true
+    } catch (error) {
+        logger.warn(`Failed to read analysis cache of ${path.basename(w3gFilePath)}:`, error.message)
+        return false
+    }
+}
+
+// Function to convert W3G file to JSON
+function convertW3GToJSON(w3gFilePath) {
+    try {
+        if (isAnalysisUpToDate(w3gFilePath)) {
+            logger.log(`Skipping ${path.basename(w3gFilePath)} - JSON file is up to date`)
+            return true
+        }
+        
+        logger.log(`Converting ${path.basename(w3gFilePath)} to JSON...`)
+        const { analysisPath, warning } = convertReplay(w3gFilePath)
+        if (warning) logger.warn(warning)
+
+        getIndexedGame(analysisPath)
+        clearReplayFailure(w3gFilePath)
+        logger.log(`✓ Converted ${path.basename(w3gFilePath)}`)
+        return true
+    } catch (error) {
+        const failure = recordReplayFailure(w3gFilePath, error)
+        logger.error(`✗ Failed to convert ${path.basename(w3gFilePath)}: ${failure.reason}`)
+        return false
+    }
+}
+
+// Function to rewrite every analysis cache under a directory in the current schema and storage format
+// Replays are re-parsed where possible, caches that can't be re-parsed are upgraded in place
+function migrateAnalysisCaches(dir) {
+    const result = { totalFiles: 0, currentFiles: 0, reconvertedFiles: 0, upgradedFiles: 0, errorFiles: 0 }
+
+    function processDirectory(currentDir) {
+        for (const item of fs.readdirSync(currentDir)) {
+            const fullPath = path.join(currentDir, item)
+
+            if (fs.statSync(fullPath).isDirectory()) {
+                processDirectory(fullPath)
+            } else if (ANALYSIS_FILE_PATTERN.test(item)) {
+                migrateAnalysisCache(fullPath)
+            }
+        }
+    }
+
+    function migrateAnalysisCache(analysisPath) {
+        const w3gFilePath = getReplayPathOfAnalysis(analysisPath)
+        const hasReplay = fs.existsSync(w3gFilePath)
+        result.totalFiles++
+
+        if (hasReplay && isAnalysisUpToDate(w3gFilePath) && /\.gz$/i.test(analysisPath) === ANALYSIS_GZIP) {
+            result.currentFiles++
+            return
+        }
+
+        if (hasReplay) {
+            try {
+                const { analysisPath: convertedPath, warning } = convertReplay(w3gFilePath)
+                if (warning) logger.warn(warning)
+
+                getIndexedGame(convertedPath)
+                result.reconvertedFiles++
+                logger.log(`✓ Reconverted ${path.basename(w3gFilePath)}`)
+                return
+            } catch (error) {
+                logger.warn(`Failed to re-parse ${path.basename(w3gFilePath)}, upgrading its cache instead:`, error.message)
+            }
+        }
+
+        try {
+            const jsonData = readAnalysisFile(analysisPath)
+            if (isMissingApmTimelines(jsonData)) {
+                const warning = addApmTimelines(jsonData, w3gFilePath)
+                if (warning) logger.warn(warning)
+            }
+
+            getIndexedGame(saveAnalysis(w3gFilePath, jsonData, jsonData.cache ? jsonData.cache.parserVersion : null))
+            result.upgradedFiles++
+            logger.log(`✓ Upgraded ${path.basename(analysisPath)}`)
+        } catch (error) {
+            logger.error(`✗ Failed to migrate ${path.basename(analysisPath)}:`, error.message)
+            result.errorFiles++
+        }
+    }
+
+    logger.log('🔄 Migrating analysis caches...')
+    processDirectory(dir)
+    saveReplayIndex()
+    logger.log(`📊 Migration complete: ${result.totalFiles} total, ${result.currentFiles} current, ${result.reconvertedFiles} reconverted, ${result.upgradedFiles} upgraded, ${result.errorFiles} errors`)
+
+    return result
+}
+
+// Game phases by minute for APM averages - the last phase is open-ended
+const GAME_PHASES = [
+    { name: 'early', start: 0, end: 6 },
+    { name: 'mid', start: 6, end: 15 },
+    { name: 'late', start: 15, end: Infinity }
+]
+
+// Function to read an analysis cache file, upgrading caches written by older versions of the app in memory
+// Reading never writes, outdated caches are rewritten by the conversion job and `npm run migrate-cache`
+function readAnalysisFile(jsonPath) {
+    const jsonData = readAnalysisJson(jsonPath)
+
+    if (!jsonData.cache || jsonData.cache.schemaVersion !== ANALYSIS_SCHEMA_VERSION) {
+        return upgradeAnalysisData(jsonData)
+    }
+
+    return jsonData
+}
+
+// Function to bring the data of an outdated cache to the current schema
+// `cache` is kept as the file has it (missing for the first schema), so the cache still counts as outdated
+// The replay itself isn't read, APM curves missing from old caches are added when the replay is converted again
+function upgradeAnalysisData(jsonData) {
+    const { filename, ...analysis } = normalizeReplayText(jsonData)
+    return analysis
+}
+
+// Function to check whether players of an analysis have no APM curve yet
+function isMissingApmTimelines(jsonData) {
+    return (jsonData.teams || [])
+        .filter(team => team !== null && typeof team === 'object')
+        .some(team => Object.values(team).some(player => player && player.apm_timeline === undefined))
+}
+
+// Function to get the average APM of a player in each game phase, null for phases the game didn't reach
+function getPhaseApm(player) {
+    const timeline = player.apm_timeline || []
+    const phases = {}
+
+    GAME_PHASES.forEach(phase => {
+        const minutes = timeline.slice(phase.start, phase.end === Infinity ? undefined : phase.end)
+        phases[phase.name] = minutes.length > 0
+            ? Math.round(minutes.reduce((sum, apm) => sum + apm, 0) / minutes.length)
+            : null
+    })
+
+    return phases
+}
+
+// Replay Diagnostics - replays that fail to convert are classified and recorded in replay_failures.json
+// with whatever could still be read from them, converted games too short or empty to count are
+// excluded from statistics. Both are listed by /api/failures and flagged in the file browser
+const REPLAY_FAILURES_FILE = 'replay_failures.json'
+const SUPPORTED_REPLAY_IDENTS = ['WAR3', 'W3XP']
+const MIN_GAME_LENGTH_MS = 2 * 60 * 1000
+const FAILURE_TYPES = {
+    invalid: 'Not a Warcraft III replay',
+    unsupported: 'Unsupported game version',
+    truncated: 'Truncated replay',
+    decompression: 'Corrupt replay data',
+    parser: 'Parser error'
+}
+let replayFailures = loadReplayFailures()
+
+// Function to load the failures registry from disk
+function loadReplayFailures() {
+    try {
+        if (fs.existsSync(getDataFilePath(REPLAY_FAILURES_FILE))) {
+            return JSON.parse(fs.readFileSync(getDataFilePath(REPLAY_FAILURES_FILE), 'utf8'))
+        }
+    } catch (error) {
+        logger.error('Failed to read replay failures:', error.message)
+    }
+    return {}
+}
+
+// Function to write the failures registry to disk
+function saveReplayFailures() {
+    try {
+        fs.writeFileSync(getDataFilePath(REPLAY_FAILURES_FILE), JSON.stringify(replayFailures, null, 2))
+    } catch (error) {
+        logger.warn('Failed to save replay failures:', error.message)
+    }
+}
+
+// Function to format the game version of a replay header, e.g. "1.27 (build 6059)"
+function formatReplayVersion(header) {
+    const minor = header.major_v >= REFORGED_MAJOR_VERSION ? header.major_v - 10000 : header.major_v
+    return `1.${minor} (build ${header.build_v})`
+}
+
+// Function to read what can be read from the data blocks of a replay the parser failed on:
+// game details, players with their action counts and how much of the game the readable data covers
+function readPartialReplay(blocks) {
+    const partial = {
+        blocksRead: blocks.blocksRead,
+        blockCount: blocks.blockCount,
+        game: null,
+        players: [],
+        readableLength: 0
+    }
+
+    try {
+        const gameHeader = readReplayGameHeader(blocks.data)
+        if (!gameHeader) return partial
+
+        const { counts, time } = countReplayActions(blocks.data, gameHeader.offset)
+        partial.game = { name: gameHeader.name, map: gameHeader.map, creator: gameHeader.host }
+        partial.players = gameHeader.players.map(player => ({
+            id: player.id,
+            name: player.name,
+            actions: (counts[player.id] || []).reduce((sum, count) => sum + count, 0)
+        }))
+        partial.readableLength = time
+    } catch (error) {
+        logger.warn('Failed to read partial replay data:', error.message)
+    }
+
+    return partial
+}
+
+// Function to find out why a replay couldn't be converted, returns { type, reason, header, partial }
+function diagnoseReplay(w3gFilePath, error) {
+    const buffer = fs.readFileSync(w3gFilePath)
+    const header = readReplayHeader(buffer)
+
+    if (!header) {
+        return { type: 'invalid', reason: FAILURE_TYPES.invalid, header: null, partial: null }
+    }
+
+    const diagnosis = {
+        header: { ident: header.ident, major_v: header.major_v, build_v: header.build_v, length: header.length },
+        partial: null
+    }
+
+    if (!SUPPORTED_REPLAY_IDENTS.includes(header.ident) || header.major_v >= REFORGED_MAJOR_VERSION) {
+        // Reforged replays use a different format the parser doesn't support
+        return { ...diagnosis, type: 'unsupported', reason: `${FAILURE_TYPES.unsupported} ${formatReplayVersion(header)}` }
+    }
+
+    const blocks = readReplayBlocks(buffer, header)
+    diagnosis.partial = readPartialReplay(blocks)
+    const expectedSize = buffer.readUInt32LE(0x20)
+
+    if (buffer.length < expectedSize || blocks.truncated) {
+        return {
+            ...diagnosis,
+            type: 'truncated',
+            reason: `${FAILURE_TYPES.truncated}: ${buffer.length} of ${expectedSize} bytes, ${blocks.blocksRead} of ${blocks.blockCount} data blocks readable`
+        }
+    }
+
+    if (blocks.error) {
+        return {
+            ...diagnosis,
+            type: 'decompression',
+            reason: `${FAILURE_TYPES.decompression}: block ${blocks.blocksRead + 1} of ${blocks.blockCount} (${blocks.error})`
+        }
+    }
+
+    return { ...diagnosis, type: 'parser', reason: `${FAILURE_TYPES.parser}: ${error.message}` }
+}
+
+// Function to record a failed conversion in the registry, returns the registry entry
+function recordReplayFailure(w3gFilePath, error) {
+    const key = getReplayRelativePath(w3gFilePath)
+    let diagnosis
+
+    try {
+        diagnosis = diagnoseReplay(w3gFilePath, error)
+    } catch (diagnoseError) {
+        diagnosis = { type: 'invalid', reason: `${FAILURE_TYPES.invalid}: ${diagnoseError.message}`, header: null, partial: null }
+    }
+
+    replayFailures[key] = {
+        path: key,
+        ...diagnosis,
+        error: error.message,
+        failedAt: Date.now()
+    }
+    saveReplayFailures()
+
+    return replayFailures[key]
+}
+
+// Function to drop a replay from the registry after it converted successfully
+function clearReplayFailure(w3gFilePath) {
+    const key = getReplayRelativePath(w3gFilePath)
+
+    if (replayFailures[key]) {
+        delete replayFailures[key]
+        saveReplayFailures()
+    }
+}
+
+// Function to get the recorded failure of a replay, null if it never failed or changed since it failed
+function getReplayFailure(w3gFilePath) {
+    const failure = replayFailures[getReplayRelativePath(w3gFilePath)]
+    if (!failure || !fs.existsSync(w3gFilePath)) return null
+
+    return failure.failedAt >= fs.statSync(w3gFilePath).mtimeMs ? failure : null
+}
+
+// Function to get the recorded failures of replays under a directory that still exist
+// `hasAnalysis` tells whether an analysis from an earlier conversion is still used for the replay
+function getReplayFailures(dir = replayDir) {
+    return Object.values(replayFailures)
+        .filter(failure => isInsideDirectory(dir, path.join(replayDir, failure.path)))
+        .filter(failure => fs.existsSync(path.join(replayDir, failure.path)))
+        .map(failure => ({
+            ...failure,
+            hasAnalysis: fs.existsSync(getAnalysisPath(path.join(replayDir, failure.path)))
+        }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+}
+
+// Function to explain why a converted game is left out of statistics, null if it counts
+function getExclusionReason(jsonData) {
+    const duration = jsonData.header ? jsonData.header.length : 0
+    if (duration < MIN_GAME_LENGTH_MS) {
+        return `Game lasted only ${formatDuration(duration)}`
+    }
+
+    // Computer players take no actions, so they are counted through the game's participants
+    if (getGameParticipants(jsonData).length < 2) {
+        return 'Fewer than two players took part'
+    }
+
+    return null
+}
+
+// Duplicate Matches - when several players save the same game, every copy is indexed on its own
+// Copies are recognized by the game's random seed, map and player list, their recorded lengths differ
+// by how long each saver stayed in the game. Statistics count only the canonical copy of a match
+
+// Function to get the fingerprint of a game, equal for every recording of the same match
+function getMatchFingerprint(gameData) {
+    if (!gameData.game || gameData.game.random_seed === undefined) return null
+
+    const players = getGamePlayers(gameData)
+        .map(player => player.name)
+        .sort()
+        .join(',')
+
+    return `${gameData.game.random_seed}|${gameData.game.map}|${players}`
+}
+
+// Function to get the total parsed actions of a game, used to prefer the most complete copy
+function getGameActionTotal(gameData) {
+    return getGamePlayers(gameData).reduce((sum, player) => sum + (player.actions || 0), 0)
+}
+
+// Function to group the recordings of the same match among indexed games
+// Returns a Map from the replay path of every copy to its match:
+// { id, canonical, copies: [{ path, saver, duration }] } - games recorded only once are left out
+function findDuplicateMatches(games) {
+    const buckets = {}
+    const matches = new Map()
+
+    games.forEach(gameData => {
+        const fingerprint = getMatchFingerprint(gameData)
+        if (!fingerprint) return
+
+        if (!buckets[fingerprint]) buckets[fingerprint] = []
+        buckets[fingerprint].push(gameData)
+    })
+
+    Object.values(buckets).forEach(bucket => {
+        if (bucket.length < 2) return
+
+        // The canonical copy is the most complete one: counted in stats, longest, most actions
+        bucket.sort((a, b) =>
+            (a.excluded ? 1 : 0) - (b.excluded ? 1 : 0) ||
+            (b.header ? b.header.length : 0) - (a.header ? a.header.length : 0) ||
+            getGameActionTotal(b) - getGameActionTotal(a) ||
+            a.path.localeCompare(b.path)
+        )
+
+        const match = {
+            id: bucket[0].path,
+            canonical: bucket[0].path,
+            copies: bucket.map(gameData => ({
+                path: gameData.path,
+                saver: gameData.game.saver_name || null,
+                duration: gameData.header ? gameData.header.length : 0
+            }))
+        }
+
+        bucket.forEach(gameData => matches.set(gameData.path, match))
+    })
+
+    return matches
+}
+
+// Function to get the duplicate matches among the indexed games of a directory
+// Groups are kept until the index changes, so browsing doesn't regroup or re-sync the library
+function getDuplicateMatches(dir) {
+    if (!duplicateMatchCache.has(dir)) {
+        const relativeDir = path.relative(replayDir, dir).replace(/\\/g, '/')
+        const prefix = relativeDir ? relativeDir + '/' : ''
+        const games = Object.values(loadReplayIndex().games).filter(gameData => gameData.path.startsWith(prefix))
+
+        duplicateMatchCache.set(dir, findDuplicateMatches(games))
+    }
+
+    return duplicateMatchCache.get(dir)
+}
+
+// Function to check whether a game is the copy of its match that statistics count
+function isCanonicalCopy(gameData, duplicates) {
+    const match = duplicates.get(gameData.path)
+    return !match || match.canonical === gameData.path
+}
+
+// Function to get the indexed games of a directory that count towards statistics,
+// without excluded games and with each match recorded by several players counted once
+// `mode` (a key of GAME_MODES) limits them to one game mode
+function getStatsGames(dir, mode = null) {
+    const games = syncReplayIndex(dir)
+    const duplicates = getDuplicateMatches(dir)
+
+    return games.filter(gameData =>
+        !gameData.excluded &&
+        isCanonicalCopy(gameData, duplicates) &&
+        (!mode || gameData.mode === mode)
+    )
+}
+
+// Game Modes - games are classified by their team layout, so 1v1s, team games, free-for-alls and
+// games against computer players don't get mixed up in the statistics. Computer players take no actions
+// and are tracked as pseudo-players named after their difficulty, e.g. "AI (Insane)"
+const GAME_MODES = {
+    '1v1': '1v1',
+    '2v2': '2v2',
+    '3v3': '3v3',
+    '4v4': '4v4',
+    'ffa': 'Free for all',
+    'vs-ai': 'vs AI',
+    'custom': 'Custom'
+}
+const OBSERVER_TEAM = 12
+const SINGLE_PLAYER_GAME_PATTERN = /single player|local game/i
+
+// Function to get the pseudo-player name of a computer player
+function getAiPlayerName(player) {
+    return `AI (${player.ai_strength || 'Normal'})`
+}
+
+// Function to get the name a player is counted under in statistics
+function getStatsPlayerName(player) {
+    return player.computer ? getAiPlayerName(player) : normalizePlayerName(player.name)
+}
+
+// Function to get the players of a game including computer players, without observers
+function getGameParticipants(gameData) {
+    const computers = []
+
+    ;(gameData.teams || []).forEach(team => {
+        if (team !== null && typeof team === 'object') {
+            Object.values(team).forEach(player => {
+                if (player && player.computer && player.team !== OBSERVER_TEAM) {
+                    computers.push(player)
+                }
+            })
+        }
+    })
+
+    const humans = getGamePlayers(gameData).filter(player => player.team !== OBSERVER_TEAM)
+
+    return [...humans, ...computers]
+}
+
+// Function to classify a game: 1v1, 2v2, 3v3, 4v4, ffa, vs-ai or custom for any other layout
+function getGameMode(gameData) {
+    const participants = getGameParticipants(gameData)
+    const gameType = gameData.game ? gameData.game.type || '' : ''
+
+    if (participants.some(player => player.computer) || SINGLE_PLAYER_GAME_PATTERN.test(gameType)) {
+        return 'vs-ai'
+    }
+
+    const teamSizes = {}
+    participants.forEach(player => {
+        teamSizes[player.team] = (teamSizes[player.team] || 0) + 1
+    })
+
+    const sizes = Object.values(teamSizes)
+    if (sizes.length > 2 && sizes.every(size => size === 1)) {
+        return 'ffa'
+    }
+    if (sizes.length === 2 && sizes[0] === sizes[1] && GAME_MODES[`${sizes[0]}v${sizes[1]}`]) {
+        return `${sizes[0]}v${sizes[1]}`
+    }
+
+    return 'custom'
+}
+
+// Middleware to reject requests whose `mode` query parameter isn't a key of GAME_MODES
+function checkGameMode(req, res, next) {
+    const mode = req.query.mode
+
+    if (mode && !Object.keys(GAME_MODES).includes(mode)) {
+        return res.status(400).json({ error: `Unknown game mode: ${mode}` })
+    }
+
+    next()
+}
+
+// Function to count the games of each mode, in the order of GAME_MODES
+function countGameModes(games) {
+    return Object.entries(GAME_MODES)
+        .map(([mode, label]) => ({ mode, label, games: games.filter(gameData => gameData.mode === mode).length }))
+        .filter(entry => entry.games > 0)
+}
+
+// Game Results - who won a game, resolved from the replay instead of trusting the parser's `winner_team`,
+// which goes wrong for draws, disconnects and games the saver left early. Evidence from leave records,
+// the order teams left in, leave times against the game length and "gg" messages is weighed per team, and the margin between the best and
+// the second best team gives the confidence. Results can be overridden per replay in result_overrides.json
+const RESULT_OVERRIDES_FILE = 'result_overrides.json'
+const RESULT_OUTCOMES = ['win', 'draw', 'unknown']
+const LEAVE_REASON_REMOTE = 0x01 // the player left while the saver stayed
+const LEAVE_REASON_LOCAL = 0x0c // the player was still in the game when the saver left
+const LEAVE_RESULT_DISCONNECT = 0x01
+const LEAVE_RESULT_LOST = 0x08
+const LEAVE_RESULT_WON = 0x09
+const LEAVE_RESULT_DRAW = 0x0a
+const LEAVE_RESULT_SAVER_WON = 0x0b // recorded for the saver when the game ended in victory
+const LEAVE_TIME_TOLERANCE_MS = 1000 // players leaving this close to the end of the recording stayed to the end
+const RESULT_CONFIDENCE_LEVELS = [
+    { margin: 3, confidence: 'high' },
+    { margin: 2, confidence: 'medium' },
+    { margin: 1, confidence: 'low' }
+]
+let resultOverrides = loadResultOverrides()
+
+// Function to load the result overrides from disk
+function loadResultOverrides() {
+    try {
+        if (fs.existsSync(getDataFilePath(RESULT_OVERRIDES_FILE))) {
+            return JSON.parse(fs.readFileSync(getDataFilePath(RESULT_OVERRIDES_FILE), 'utf8'))
+        }
+    } catch (error) {
+        logger.error('Failed to read result overrides:', error.message)
+    }
+    return {}
+}
+
+// Function to write the result overrides to disk
+function saveResultOverrides() {
+    fs.writeFileSync(getDataFilePath(RESULT_OVERRIDES_FILE), JSON.stringify(resultOverrides, null, 2))
+}
+
+// Function to infer the result of a game from its replay data
+// Returns { outcome: win|draw|unknown, winnerTeam, confidence: high|medium|low|null, evidence: [], recordedWinnerTeam }
+function inferGameResult(gameData) {
+    const players = getGameParticipants(gameData)
+    const teams = [...new Set(players.map(player => player.team))]
+    const scores = Object.fromEntries(teams.map(team => [team, 0]))
+    const evidence = []
+    const recordedWinnerTeam = gameData.game ? gameData.game.winner_team : undefined
+    const saverId = gameData.game ? gameData.game.saver_id : undefined
+    const duration = gameData.header ? gameData.header.length : 0
+    let draw = false
+
+    const explicitTeams = new Set()
+    const addExplicit = (team, score, message) => {
+        if (explicitTeams.has(`${team}:${score}`)) return
+        explicitTeams.add(`${team}:${score}`)
+        scores[team] += score
+        evidence.push(message)
+    }
+
+    // Leave records, remote players only get a reliable result when they left while the saver stayed
+    players.forEach(player => {
+        if (player.leave_result === LEAVE_RESULT_DRAW) {
+            draw = true
+            evidence.push(`${player.name} left with a draw`)
+        } else if (player.player_id === saverId && player.leave_result === LEAVE_RESULT_SAVER_WON) {
+            addExplicit(player.team, 3, `${player.name} (saver) recorded a victory`)
+        } else if (player.leave_reason === LEAVE_REASON_REMOTE && player.leave_result === LEAVE_RESULT_WON) {
+            addExplicit(player.team, 3, `${player.name} left with a victory`)
+        } else if (player.leave_reason === LEAVE_REASON_REMOTE && player.leave_result === LEAVE_RESULT_LOST) {
+            addExplicit(player.team, -3, `${player.name} left with a defeat`)
+        }
+    })
+
+    // A team that left entirely while an opponent stayed lost, unless it only disconnected
+    const stillPresent = player => player.player_id !== saverId && player.leave_reason === LEAVE_REASON_LOCAL
+    const disconnected = player => player.leave_reason === LEAVE_REASON_REMOTE && player.leave_result === LEAVE_RESULT_DISCONNECT
+
+    // The recording ends when the saver leaves, so the saver only left early if an opponent was still there
+    // Computer players have no leave records, so they tell nothing about the order teams left in
+    const leftEarly = player => {
+        if (player.computer) return false
+        return player.player_id === saverId
+            ? players.some(other => other.team !== player.team && stillPresent(other))
+            : !stillPresent(player)
+    }
+
+    teams.forEach(team => {
+        const teamPlayers = players.filter(player => player.team === team)
+        const opponentStayed = players.some(player => player.team !== team && !leftEarly(player))
+
+        if (teamPlayers.every(leftEarly) && opponentStayed) {
+            if (teamPlayers.some(disconnected)) {
+                scores[team] -= 1
+                evidence.push(`Team ${team + 1} left the game first, with a disconnect`)
+            } else {
+                scores[team] -= 2
+                evidence.push(`Team ${team + 1} left the game first`)
+            }
+        }
+    })
+
+    // Leave times back the leave order up, the recording ends with the saver so only other players can show it
+    const leftBeforeEnd = player => !player.computer && player.player_id !== saverId &&
+        typeof player.time === 'number' && player.time < duration - LEAVE_TIME_TOLERANCE_MS
+    const stayedToEnd = player => !player.computer && !leftBeforeEnd(player)
+
+    teams.forEach(team => {
+        const teamPlayers = players.filter(player => player.team === team)
+        const opponentStayed = players.some(player => player.team !== team && stayedToEnd(player))
+
+        if (teamPlayers.every(leftBeforeEnd) && !teamPlayers.some(disconnected) && opponentStayed) {
+            const lastLeave = Math.max(...teamPlayers.map(player => player.time))
+            scores[team] -= 1
+            evidence.push(`Team ${team + 1} left ${formatDuration(duration - lastLeave)} before the recording ended`)
+        }
+    })
+
+    // The first team to say "gg" usually surrendered
+    const firstGg = getChatMessages(gameData).find(message => message.gg && message.team !== null)
+    if (firstGg && scores[firstGg.team] !== undefined) {
+        scores[firstGg.team] -= 1
+        evidence.push(`${firstGg.player} said "gg" first`)
+    }
+
+    const result = { outcome: 'unknown', winnerTeam: null, confidence: null, evidence, recordedWinnerTeam }
+
+    if (draw) {
+        return { ...result, outcome: 'draw', confidence: 'medium' }
+    }
+    if (teams.length < 2) {
+        return result
+    }
+
+    const ranked = [...teams].sort((a, b) => scores[b] - scores[a])
+    const margin = scores[ranked[0]] - scores[ranked[1]]
+    const level = RESULT_CONFIDENCE_LEVELS.find(entry => margin >= entry.margin)
+
+    if (level) {
+        if (recordedWinnerTeam !== undefined && recordedWinnerTeam !== ranked[0]) {
+            evidence.push(`The parser recorded Team ${recordedWinnerTeam + 1} as the winner`)
+        }
+        return { ...result, outcome: 'win', winnerTeam: ranked[0], confidence: level.confidence }
+    }
+
+    // Without evidence either way, fall back on the parser's guess
+    if (teams.includes(recordedWinnerTeam)) {
+        evidence.push(`Only the parser's recorded winner is known`)
+        return { ...result, outcome: 'win', winnerTeam: recordedWinnerTeam, confidence: 'low' }
+    }
+
+    return result
+}
+
+// Function to get the result of a game, a manual override wins over the inferred result
+function resolveGameResult(gameData, replayPath = gameData.path) {
+    const inferred = inferGameResult(gameData)
+    const override = replayPath ? resultOverrides[replayPath] : null
+
+    if (!override) {
+        return { ...inferred, source: 'replay' }
+    }
+
+    return {
+        ...inferred,
+        outcome: override.outcome,
+        winnerTeam: override.outcome === 'win' ? override.winnerTeam : null,
+        confidence: 'manual',
+        source: 'override',
+        inferred: { outcome: inferred.outcome, winnerTeam: inferred.winnerTeam, confidence: inferred.confidence }
+    }
+}
+
+// Function to get the result of a player in a resolved game: win, loss, draw or unknown
+function getPlayerResult(result, player) {
+    if (result.outcome !== 'win') return result.outcome
+    return player.team === result.winnerTeam ? 'win' : 'loss'
+}
+
+// Function to get a win rate in percent over the decided games, draws and unknown results don't count
+function getWinRate(wins, losses) {
+    return wins + losses > 0 ? parseFloat(((wins / (wins + losses)) * 100).toFixed(1)) : 0
+}
+
+
+// Function to convert all W3G files in a directory to JSON
+function convertAllW3GInDirectory(dir) {
+    let totalFiles = 0
+    let convertedFiles = 0
+    let skippedFiles = 0
+    let errorFiles = 0
+    
+    function processDirectory(currentDir) {
+        try {
+            const items = fs.readdirSync(currentDir)
+            
+            for (const item of items) {
+                const fullPath = path.join(currentDir, item)
+                const stat = fs.statSync(fullPath)
+                
+                if (stat.isDirectory()) {
+                    processDirectory(fullPath)
+                } else if (item.toLowerCase().endsWith('.w3g')) {
+                    totalFiles++
+                    
+                    if (isAnalysisUpToDate(fullPath)) {
+                        skippedFiles++
+                        continue
+                    }
+                    
+                    if (convertW3GToJSON(fullPath)) {
+                        convertedFiles++
+                    } else {
+                        errorFiles++
+                    }
+                }
+            }
+        } catch (error) {
+            logger.error(`Error processing directory ${currentDir}:`, error.message)
+        }
+    }
+    
+    logger.log('🔄 Starting W3G to JSON conversion...')
+    processDirectory(dir)
+    saveReplayIndex()
+    logger.log(`📊 Conversion complete: ${totalFiles} total, ${convertedFiles} converted, ${skippedFiles} skipped, ${errorFiles} errors`)
+    
+    return { totalFiles, convertedFiles, skippedFiles, errorFiles }
+}
+
+// Function to strip the folder and extension from a map path, e.g. "Maps\\(4)TurtleRock.w3x"
+function getMapName(mapPath) {
+    return mapPath ? mapPath.split('\\').pop().replace('.w3x', '') : 'Unknown'
+}
+
+// Function to get preview data from JSON file
+// `duplicates` (from findDuplicateMatches) adds the match the game is a copy of
+function getPreviewData(jsonPath, duplicates = null) {
+    try {
+        const jsonData = getIndexedGame(jsonPath)
+        if (!jsonData) return null
+        const result = resolveGameResult(jsonData)
+        
+        // Extract preview information
+        const preview = {
+            players: [],
+            winners: [],
+            gameInfo: {},
+            excluded: jsonData.excluded,
+            match: duplicates ? duplicates.get(jsonData.path) || null : null
+        }
+        
+        // Extract game info
+        if (jsonData.game) {
+            preview.gameInfo = {
+                playerCount: jsonData.game.player_count,
+                map: getMapName(jsonData.game.map),
+                duration: jsonData.header ? jsonData.header.length : 0,
+                mode: jsonData.mode || null,
+                winnerTeam: result.winnerTeam,
+                outcome: result.outcome,
+                resultConfidence: result.confidence
+            }
+        }
+        
+        // Extract player information
+        if (jsonData.teams && Array.isArray(jsonData.teams)) {
+            jsonData.teams.forEach(team => {
+                if (team !== null && typeof team === 'object') {
+                    Object.values(team).forEach(player => {
+                        if (player && player.actions > 0) {
+                            const originalName = player.name
+                            const normalizedName = normalizePlayerName(originalName)
+                            
+                            preview.players.push({
+                                name: originalName,
+                                normalizedName: normalizedName !== originalName ? normalizedName : null,
+                                race: player.race,
+                                raceDetected: player.race_detected,
+                                color: player.color,
+                                team: player.team,
+                                apm: Math.round(player.apm || 0),
+                                milestones: getPlayerMilestones(player)
+                            })
+                            
+                            // Check if this player is a winner
+                            if (getPlayerResult(result, player) === 'win') {
+                                preview.winners.push({
+                                    name: originalName,
+                                    normalizedName: normalizedName !== originalName ? normalizedName : null,
+                                    color: player.color
+                                })
+                            }
+                        }
+                    })
+                }
+            })
+        }
+        
+        return preview
+    } catch (error) {
+        logger.error(`Error reading preview from ${jsonPath}:`, error.message)
+        return null
+    }
+}
+
+// Function to load the analysis data of a W3G file, null while it has no cache yet
+// Replays are never parsed on the request, outdated ones are queued for conversion and their old cache is used meanwhile
+function loadAnalysisData(w3gFilePath) {
+    if (!isAnalysisUpToDate(w3gFilePath) && !getReplayFailure(w3gFilePath)) {
+        queueReplayConversion(w3gFilePath)
+    }
+
+    const jsonFilePath = getAnalysisPath(w3gFilePath)
+    if (!fs.existsSync(jsonFilePath)) {
+        return null
+    }
+
+    return readAnalysisFile(jsonFilePath)
+}
+
+// Player data sections that carry a timestamped `order` map
+const TIMELINE_CATEGORIES = ['units', 'buildings', 'upgrades', 'items', 'heroes']
+
+// Function to merge the `order` maps of a player into one sorted event stream
+function getPlayerTimeline(player) {
+    const events = []
+
+    TIMELINE_CATEGORIES.forEach(category => {
+        const section = player[category]
+        if (!section || !section.order) return
+
+        Object.entries(section.order).forEach(([time, entry]) => {
+            // Unit entries are prefixed with the trained amount, e.g. "1 Peon"
+            const match = category === 'units' ? /^(\d+) (.+)$/.exec(entry) : null
+
+            events.push({
+                time: parseInt(time, 10),
+                category: category,
+                name: match ? match[2] : entry,
+                count: match ? parseInt(match[1], 10) : 1
+            })
+        })
+    })
+
+    events.sort((a, b) => a.time - b.time)
+
+    // Heroes are unique, so repeated hero entries are re-issued train orders
+    const seenHeroes = new Set()
+    return events.filter(event => {
+        if (event.category !== 'heroes') return true
+        if (seenHeroes.has(event.name)) return false
+        seenHeroes.add(event.name)
+        return true
+    })
+}
+
+// Function to build the build-order timeline of every active player in a game
+function getGameTimeline(jsonData) {
+    const timeline = {
+        duration: jsonData.header ? jsonData.header.length : 0,
+        players: []
+    }
+
+    if (!jsonData.teams || !Array.isArray(jsonData.teams)) return timeline
+
+    jsonData.teams.forEach(team => {
+        if (team !== null && typeof team === 'object') {
+            Object.values(team).forEach(player => {
+                if (player && player.actions > 0) {
+                    const normalizedName = normalizePlayerName(player.name)
+
+                    timeline.players.push({
+                        player_id: player.player_id,
+                        name: player.name,
+                        normalizedName: normalizedName !== player.name ? normalizedName : null,
+                        race: player.race_detected || player.race,
+                        color: player.color,
+                        team: player.team,
+                        events: getPlayerTimeline(player)
+                    })
+                }
+            })
+        }
+    })
+
+    return timeline
+}
+// Search paging limits
+const SEARCH_PAGE_SIZE = 20
+const SEARCH_MAX_PAGE_SIZE = 100
+
+// Function to check whether a player matches the per-player search filters
+function matchesPlayerFilters(player, query) {
+    if (query.player && normalizePlayerName(player.name).toLowerCase() !== normalizePlayerName(query.player).toLowerCase()) {
+        return false
+    }
+
+    const race = player.race_detected || player.race
+    if (query.race && (!race || race.toLowerCase() !== query.race.toLowerCase())) {
+        return false
+    }
+
+    if (query.hero) {
+        const heroes = Object.keys(player.heroes || {}).map(hero => hero.toLowerCase())
+        if (!heroes.includes(query.hero.toLowerCase())) return false
+    }
+
+    const apm = player.apm || 0
+    if (query.minApm && apm < parseFloat(query.minApm)) return false
+    if (query.maxApm && apm > parseFloat(query.maxApm)) return false
+
+    return true
+}
+
+// Function to search the indexed replays of a directory
+// Filters: player, race, hero, map, gameType, mode (a key of GAME_MODES), playerCount,
+// minDuration/maxDuration (minutes), from/to (YYYY-MM-DD), winner, minApm/maxApm. Race, hero
+// and APM filters apply to the searched player when one is given, otherwise to any player in the game.
+// Sorting: sort=date|duration|map|players, order=asc|desc. Paging: page, pageSize.
+function searchReplays(dir, query) {
+    const page = Math.max(parseInt(query.page, 10) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || SEARCH_PAGE_SIZE, 1), SEARCH_MAX_PAGE_SIZE)
+    const fromTime = query.from ? new Date(query.from + 'T00:00:00').getTime() : null
+    const toTime = query.to ? new Date(query.to + 'T23:59:59').getTime() : null
+
+    const games = syncReplayIndex(dir)
+    const matches = games.filter(gameData => {
+        if (!gameData.game || !gameData.teams) return false
+
+        const players = getGamePlayers(gameData)
+        const duration = gameData.header ? gameData.header.length : 0
+
+        if (query.map && !getMapName(gameData.game.map).toLowerCase().includes(query.map.toLowerCase())) return false
+        if (query.gameType && !(gameData.game.type || '').toLowerCase().includes(query.gameType.toLowerCase())) return false
+        if (query.mode && gameData.mode !== query.mode) return false
+        if (query.playerCount && players.length !== parseInt(query.playerCount, 10)) return false
+        if (query.minDuration && duration < parseFloat(query.minDuration) * 60000) return false
+        if (query.maxDuration && duration > parseFloat(query.maxDuration) * 60000) return false
+        if (fromTime && gameData.time < fromTime) return false
+        if (toTime && gameData.time > toTime) return false
+
+        if (query.winner) {
+            const winner = normalizePlayerName(query.winner).toLowerCase()
+            const result = resolveGameResult(gameData)
+            const hasWinner = players.some(player =>
+                getPlayerResult(result, player) === 'win' &&
+                normalizePlayerName(player.name).toLowerCase() === winner
+            )
+            if (!hasWinner) return false
+        }
+
+        return players.some(player => matchesPlayerFilters(player, query))
+    })
+
+    const sortKeys = {
+        date: gameData => gameData.time,
+        duration: gameData => (gameData.header ? gameData.header.length : 0),
+        map: gameData => getMapName(gameData.game.map).toLowerCase(),
+        players: gameData => gameData.game.player_count || 0
+    }
+    const sortKey = sortKeys[query.sort] || sortKeys.date
+    const direction = query.order === 'asc' ? 1 : -1
+
+    matches.sort((a, b) => {
+        const valueA = sortKey(a)
+        const valueB = sortKey(b)
+        if (valueA < valueB) return -direction
+        if (valueA > valueB) return direction
+        return 0
+    })
+
+    const duplicates = getDuplicateMatches(dir)
+    const items = matches.slice((page - 1) * pageSize, page * pageSize).map(gameData => {
+        const w3gPath = path.join(replayDir, gameData.path)
+        const stat = fs.existsSync(w3gPath) ? fs.statSync(w3gPath) : null
+
+        return {
+            name: path.basename(gameData.path),
+            path: gameData.path,
+            type: 'file',
+            size: stat ? stat.size : 0,
+            modified: stat ? stat.mtime : new Date(gameData.time),
+            hasAnalysis: true,
+            preview: getPreviewData(getAnalysisPath(w3gPath), duplicates)
+        }
+    })
+
+    return {
+        total: matches.length,
+        page,
+        pageSize,
+        totalPages: Math.ceil(matches.length / pageSize),
+        items
+    }
+}
+
+// Buildings that mark the tech tiers and expansions of each race
+// The starting main hall is not part of the build order, so the first main hall built is an expansion
+const TIER_BUILDINGS = {
+    Human: { tier2: 'Keep', tier3: 'Castle', expansion: 'Town Hall' },
+    Orc: { tier2: 'Stronghold', tier3: 'Fortress', expansion: 'Great Hall' },
+    Undead: { tier2: 'Halls of the Dead', tier3: 'Black Citadel', expansion: 'Necropolis' },
+    NightElf: { tier2: 'Tree of Ages', tier3: 'Tree of Eternity', expansion: 'Tree of Life' }
+}
+
+// Milestones tracked for every player, in their usual order
+const MILESTONES = ['firstHero', 'tier2', 'expansion', 'secondHero', 'tier3']
+
+// Function to get the time of key milestones of a player (null when never reached)
+function getPlayerMilestones(player) {
+    const race = player.race_detected || player.race
+    const tiers = TIER_BUILDINGS[race] || {}
+    const buildOrder = getOrderedEntries(player.buildings)
+    const findBuilding = name => {
+        const entry = name ? buildOrder.find(building => building.name === name) : null
+        return entry ? entry.time : null
+    }
+
+    // Revived heroes show up again in the order, only the first appearance of a hero counts
+    const heroOrder = getOrderedEntries(player.heroes)
+        .filter((hero, index, heroes) => heroes.findIndex(other => other.name === hero.name) === index)
+
+    return {
+        firstHero: heroOrder.length > 0 ? heroOrder[0].time : null,
+        tier2: findBuilding(tiers.tier2),
+        expansion: findBuilding(tiers.expansion),
+        secondHero: heroOrder.length > 1 ? heroOrder[1].time : null,
+        tier3: findBuilding(tiers.tier3)
+    }
+}
+
+// Function to add the milestones of a player to running totals
+function addMilestoneTotals(totals, milestones) {
+    MILESTONES.forEach(key => {
+        if (!totals[key]) {
+            totals[key] = { total: 0, games: 0 }
+        }
+
+        if (milestones[key] !== null) {
+            totals[key].total += milestones[key]
+            totals[key].games++
+        }
+    })
+}
+
+// Function to turn milestone totals into average times (null when never reached)
+function getAverageMilestones(totals) {
+    const averages = {}
+
+    MILESTONES.forEach(key => {
+        const entry = totals[key]
+        averages[key] = entry && entry.games > 0 ? Math.round(entry.total / entry.games) : null
+    })
+
+    return averages
+}
+
+// Control groups - the parser numbers them 0-9 for the keys 1-9 and 0
+const CONTROL_GROUPS = 10
+
+// Function to summarize the control group habits of a player in one game
+// The usage ratio is the share of selections made through group hotkeys instead of clicks
+function getHotkeyUsage(player, duration) {
+    const hotkeys = player.hotkeys || {}
+    const details = player.actions_details || {}
+    const groups = []
+
+    for (let group = 0; group < CONTROL_GROUPS; group++) {
+        const entry = hotkeys[group] || {}
+        groups.push({
+            group,
+            key: (group + 1) % 10,
+            assigned: entry.assigned || 0,
+            used: entry.used || 0,
+            size: entry.last_totalitems || 0
+        })
+    }
+
+    const hotkeySelects = details['Select group hotkey'] || 0
+    const clickSelects = details['Select / deselect'] || 0
+    const minutes = (player.time || duration) / 60000
+
+    return {
+        groups,
+        groupsUsed: groups.filter(group => group.used > 0).length,
+        hotkeySelects,
+        assigns: details['Assign group hotkey'] || 0,
+        usageRatio: hotkeySelects + clickSelects > 0 ? hotkeySelects / (hotkeySelects + clickSelects) : 0,
+        selectsPerMinute: minutes > 0 ? hotkeySelects / minutes : 0
+    }
+}
+
+// Function to strip the `order` map from a count section, e.g. units or buildings
+function getSectionCounts(section) {
+    const counts = {}
+
+    Object.entries(section || {}).forEach(([name, count]) => {
+        if (name !== 'order' && typeof count === 'number') {
+            counts[name] = count
+        }
+    })
+
+    return counts
+}
+
+// Function to summarize the players of a game for a side-by-side comparison
+function getComparisonSummary(jsonData, replayPath) {
+    const players = {}
+    const result = resolveGameResult(jsonData, replayPath)
+
+    getGamePlayers(jsonData).forEach(player => {
+        const heroes = {}
+        Object.entries(player.heroes || {}).forEach(([hero, data]) => {
+            if (hero !== 'order' && data && typeof data === 'object') {
+                heroes[hero] = data.level || 1
+            }
+        })
+
+        players[normalizePlayerName(player.name)] = {
+            name: player.name,
+            race: player.race_detected || player.race,
+            color: player.color,
+            team: player.team,
+            result: getPlayerResult(result, player),
+            apm: Math.round(player.apm || 0),
+            actions: player.actions,
+            actions_details: player.actions_details || {},
+            units: getSectionCounts(player.units),
+            buildings: getSectionCounts(player.buildings),
+            upgrades: getSectionCounts(player.upgrades),
+            heroes: heroes,
+            milestones: getPlayerMilestones(player)
+        }
+    })
+
+    return players
+}
+
+// Function to compare two games, aligning their players by normalized name
+function compareGames(gamePaths, gamesData) {
+    const summaries = gamesData.map((jsonData, index) => getComparisonSummary(jsonData, gamePaths[index]))
+    const names = new Set(summaries.flatMap(summary => Object.keys(summary)))
+
+    return {
+        games: gamesData.map((jsonData, index) => ({
+            name: path.basename(gamePaths[index]),
+            path: gamePaths[index],
+            map: getMapName(jsonData.game.map),
+            duration: jsonData.header ? jsonData.header.length : 0,
+            matchup: getMatchup(jsonData)
+        })),
+        players: [...names]
+            .map(name => ({
+                name,
+                a: summaries[0][name] || null,
+                b: summaries[1][name] || null
+            }))
+            // Players found in both games first
+            .sort((x, y) => Number(!!(y.a && y.b)) - Number(!!(x.a && x.b)))
+    }
+}
+
+// Chat - the parser stores messages either as objects (time, player_id, player_name, mode, text)
+// or as bare strings when the sender couldn't be resolved
+const CHAT_CHANNELS = { 0: 'all', 1: 'allies', 2: 'observers' }
+const CHAT_SEARCH_LIMIT = 200
+const GG_PATTERN = /^\s*gg\b/i
+const EARLY_SURRENDER_MS = 10 * 60 * 1000
+
+// Function to map a chat mode to its channel: all, allies, observers or private
+function getChatChannel(mode) {
+    if (mode === undefined || mode === null) return 'all'
+    if (typeof mode === 'number') return CHAT_CHANNELS[mode] || 'private'
+
+    const channel = String(mode).toLowerCase()
+    if (channel.startsWith('observer') || channel.startsWith('referee')) return 'observers'
+    if (channel.startsWith('all') && channel !== 'all') return 'allies'
+    return channel === 'all' ? 'all' : 'private'
+}
+
+// Function to get the chat log of a game with the sender's color and team
+function getChatMessages(jsonData) {
+    const playersById = {}
+    const playersByName = {}
+
+    ;(jsonData.teams || []).forEach(team => {
+        if (team !== null && typeof team === 'object') {
+            Object.values(team).forEach(player => {
+                if (player) {
+                    playersById[player.player_id] = player
+                    playersByName[player.name] = player
+                }
+            })
+        }
+    })
+
+    return (jsonData.chat || [])
+        .map(entry => {
+            const message = typeof entry === 'string' ? { text: entry } : entry || {}
+            const text = message.text !== undefined ? message.text : message.message
+            const sender = playersById[message.player_id] || playersByName[message.player_name] || null
+            const name = sender ? sender.name : message.player_name || null
+
+            return {
+                time: typeof message.time === 'number' ? message.time : null,
+                player: name ? normalizePlayerName(name) : null,
+                color: sender ? sender.color : null,
+                team: sender ? sender.team : null,
+                channel: getChatChannel(message.mode),
+                text: text === undefined || text === null ? '' : String(text),
+                gg: GG_PATTERN.test(text || '')
+            }
+        })
+        .filter(message => message.text.trim() !== '')
+}
+
+// Function to search the chat of every indexed game, optionally limited to one player
+function searchChat(dir, query) {
+    const text = String(query.q || '').toLowerCase()
+    const player = query.player ? normalizePlayerName(query.player) : null
+    const results = []
+
+    syncReplayIndex(dir).forEach(gameData => {
+        getChatMessages(gameData).forEach(message => {
+            if (text && !message.text.toLowerCase().includes(text)) return
+            if (player && message.player !== player) return
+
+            results.push({
+                name: path.basename(gameData.path),
+                path: gameData.path,
+                gameTime: gameData.time,
+                map: getMapName(gameData.game.map),
+                ...message
+            })
+        })
+    })
+
+    results.reverse()
+
+    return {
+        total: results.length,
+        results: results.slice(0, CHAT_SEARCH_LIMIT)
+    }
+}
+
+// Function to generate per-player chat statistics
+// A "gg" from the losing side within EARLY_SURRENDER_MS counts as an early surrender
+function generateChatStats(dir) {
+    const players = {}
+    const getRecord = name => {
+        if (!players[name]) {
+            players[name] = { name, games: 0, messages: 0, ggGames: 0, earlySurrenders: 0 }
+        }
+        return players[name]
+    }
+
+    getStatsGames(dir).forEach(gameData => {
+        const duration = gameData.header ? gameData.header.length : 0
+        const result = resolveGameResult(gameData)
+        const ggPlayers = new Set()
+        const surrendered = new Set()
+
+        getGamePlayers(gameData).forEach(player => {
+            getRecord(normalizePlayerName(player.name)).games++
+        })
+
+        getChatMessages(gameData).forEach(message => {
+            if (!message.player) return
+
+            getRecord(message.player).messages++
+
+            if (message.gg) {
+                ggPlayers.add(message.player)
+
+                const time = message.time !== null ? message.time : duration
+                if (result.outcome === 'win' && message.team !== result.winnerTeam && time < EARLY_SURRENDER_MS) {
+                    surrendered.add(message.player)
+                }
+            }
+        })
+
+        ggPlayers.forEach(name => getRecord(name).ggGames++)
+        surrendered.forEach(name => getRecord(name).earlySurrenders++)
+    })
+
+    return Object.values(players)
+        .map(record => ({
+            ...record,
+            messagesPerGame: record.games > 0 ? parseFloat((record.messages / record.games).toFixed(2)) : 0
+        }))
+        .sort((a, b) => b.messages - a.messages || a.name.localeCompare(b.name))
+}
+
+// Function to get contents of a specific directory
+function getDirectoryContents(dir, basePath = '') {
+    const items = []
+    const duplicates = getDuplicateMatches(replayDir)
+
+    try {
+        const dirItems = fs.readdirSync(dir)
+
+        for (const item of dirItems) {
+            const fullPath = path.join(dir, item)
+            const relativePath = path.join(basePath, item)
+            const stat = fs.statSync(fullPath)
+
+            if (stat.isDirectory()) {
+                items.push({
+                    name: item,
+                    path: relativePath.replace(/\\/g, '/'),
+                    type: 'folder',
+                    size: null,
+                    modified: stat.mtime
+                })
+            } else if (item.toLowerCase().endsWith('.w3g')) {
+                const jsonPath = getAnalysisPath(fullPath)
+                const hasJsonFile = fs.existsSync(jsonPath)
+                const preview = hasJsonFile ? getPreviewData(jsonPath, duplicates) : null
+                
+                const failure = replayFailures[relativePath.replace(/\\/g, '/')]
+                
+                items.push({
+                    name: item,
+                    path: relativePath.replace(/\\/g, '/'),
+                    type: 'file',
+                    size: stat.size,
+                    modified: stat.mtime,
+                    hasAnalysis: hasJsonFile,
+                    preview: preview,
+                    failure: failure ? { type: failure.type, reason: failure.reason } : null
+                })
+            }
+        }
+    } catch (error) {
+        logger.error(`Error reading directory ${dir}:`, error.message)
+        throw error
+    }
+
+    saveReplayIndex()
+
+    return items
+}
+
+// API endpoint to browse folders and files
+app.get('/api/browse', (req, res) => {
+    const requestedPath = req.query.path || ''
+    const targetDir = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the path is within the replay directory
+    if (!isInsideDirectory(replayDir, targetDir)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(targetDir)) {
+        return res.status(404).json({ error: 'Directory not found' })
+    }
+
+    const stat = fs.statSync(targetDir)
+    if (!stat.isDirectory()) {
+        return res.status(400).json({ error: 'Path is not a directory' })
+    }
+
+    try {
+        const items = getDirectoryContents(targetDir, requestedPath)
+
+        // Add parent directory navigation (except for root)
+        const response = {
+            currentPath: requestedPath,
+            items: items
+        }
+
+        if (requestedPath !== '') {
+            const parentPath = path.dirname(requestedPath)
+            response.parentPath =
+                parentPath === '.' ? '' : parentPath.replace(/\\/g, '/')
+        }
+
+        res.json(response)
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read directory: ' + error.message
+        })
+    }
+})
+
+// API endpoint to serve a specific .w3g file
+app.get('/api/download', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    res.download(filePath)
+})
+
+// API endpoint to analyze a .w3g file
+app.get('/api/analyze', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const jsonData = loadAnalysisData(filePath)
+
+        if (!jsonData) {
+            return sendMissingAnalysis(res, filePath)
+        }
+
+        res.json(jsonData)
+    } catch (error) {
+        logger.error('Error reading analysis:', error)
+        res.status(500).json({
+            error: 'Failed to read analysis',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to search analyzed replays across the whole library
+app.get('/api/search', (req, res) => {
+    try {
+        res.json(searchReplays(replayDir, req.query))
+    } catch (error) {
+        logger.error('Error searching replays:', error)
+        res.status(500).json({
+            error: 'Failed to search replays',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to compare two .w3g files side by side
+app.get('/api/compare', (req, res) => {
+    const gamePaths = [req.query.a, req.query.b]
+
+    if (!gamePaths[0] || !gamePaths[1]) {
+        return res.status(400).json({ error: 'Parameters a and b are required' })
+    }
+
+    const filePaths = gamePaths.map(gamePath => path.join(replayDir, gamePath))
+
+    // Security check to ensure the files are within the replay directory
+    if (filePaths.some(filePath => !isInsideDirectory(replayDir, filePath))) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (filePaths.some(filePath => !fs.existsSync(filePath))) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const gamesData = filePaths.map(loadAnalysisData)
+
+        if (gamesData.some(jsonData => !jsonData)) {
+            return sendMissingAnalysis(res, filePaths[gamesData.indexOf(null)])
+        }
+
+        res.json(compareGames(filePaths.map(getReplayRelativePath), gamesData))
+    } catch (error) {
+        logger.error('Error comparing replays:', error)
+        res.status(500).json({
+            error: 'Failed to compare replays',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the build-order timeline of a .w3g file
+app.get('/api/timeline', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const jsonData = loadAnalysisData(filePath)
+
+        if (!jsonData) {
+            return sendMissingAnalysis(res, filePath)
+        }
+
+        res.json(getGameTimeline(jsonData))
+    } catch (error) {
+        logger.error('Error building timeline:', error)
+        res.status(500).json({
+            error: 'Failed to build timeline',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the chat log of a .w3g file
+app.get('/api/chat', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const jsonData = loadAnalysisData(filePath)
+
+        if (!jsonData) {
+            return sendMissingAnalysis(res, filePath)
+        }
+
+        res.json(getChatMessages(jsonData))
+    } catch (error) {
+        logger.error('Error reading chat log:', error)
+        res.status(500).json({
+            error: 'Failed to read chat log',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the resolved result of a .w3g file, with the evidence it was inferred from
+app.get('/api/results', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const jsonData = loadAnalysisData(filePath)
+
+        if (!jsonData) {
+            return sendMissingAnalysis(res, filePath)
+        }
+
+        res.json(resolveGameResult(jsonData, getReplayRelativePath(filePath)))
+    } catch (error) {
+        logger.error('Error resolving game result:', error)
+        res.status(500).json({
+            error: 'Failed to resolve game result',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to override the result of a .w3g file, e.g. { outcome: 'win', winnerTeam: 1 } or { outcome: 'draw' }
+app.put('/api/results', (req, res) => {
+    const requestedPath = req.query.path
+    const outcome = req.body ? req.body.outcome : undefined
+    const winnerTeam = req.body ? req.body.winnerTeam : undefined
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    if (!RESULT_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: `Outcome must be one of ${RESULT_OUTCOMES.join(', ')}` })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' })
+    }
+
+    try {
+        const jsonData = loadAnalysisData(filePath)
+
+        if (!jsonData) {
+            return sendMissingAnalysis(res, filePath)
+        }
+
+        if (outcome === 'win' && !getGameParticipants(jsonData).some(player => player.team === winnerTeam)) {
+            return res.status(400).json({ error: 'Winner team must be a team of the game' })
+        }
+
+        const replayPath = getReplayRelativePath(filePath)
+        resultOverrides[replayPath] = outcome === 'win' ? { outcome, winnerTeam } : { outcome }
+        saveResultOverrides()
+        res.json(resolveGameResult(jsonData, replayPath))
+    } catch (error) {
+        logger.error('Error saving result override:', error)
+        res.status(500).json({
+            error: 'Failed to save result override',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to drop the result override of a .w3g file, going back to the inferred result
+app.delete('/api/results', (req, res) => {
+    const requestedPath = req.query.path
+
+    if (!requestedPath) {
+        return res.status(400).json({ error: 'Path parameter is required' })
+    }
+
+    const filePath = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the file is within the replay directory
+    if (!isInsideDirectory(replayDir, filePath)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    const replayPath = getReplayRelativePath(filePath)
+
+    if (!resultOverrides[replayPath]) {
+        return res.status(404).json({ error: 'Result override not found' })
+    }
+
+    try {
+        delete resultOverrides[replayPath]
+        saveResultOverrides()
+
+        const jsonData = fs.existsSync(filePath) ? loadAnalysisData(filePath) : null
+        res.json(jsonData ? resolveGameResult(jsonData, replayPath) : { source: 'replay' })
+    } catch (error) {
+        logger.error('Error removing result override:', error)
+        res.status(500).json({
+            error: 'Failed to remove result override',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to search chat messages across the whole library
+app.get('/api/chat/search', (req, res) => {
+    try {
+        res.json(searchChat(replayDir, req.query))
+    } catch (error) {
+        logger.error('Error searching chat:', error)
+        res.status(500).json({
+            error: 'Failed to search chat',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get per-player chat statistics
+app.get('/api/chat/stats', (req, res) => {
+    try {
+        res.json(generateChatStats(replayDir))
+    } catch (error) {
+        logger.error('Error generating chat statistics:', error)
+        res.status(500).json({
+            error: 'Failed to generate chat statistics',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to trigger conversion of all W3G files
+app.post('/api/convert', (req, res) => {
+    const requestedPath = req.query.path || ''
+    const targetDir = path.join(replayDir, requestedPath)
+
+    // Security check to ensure the path is within the replay directory
+    if (!isInsideDirectory(replayDir, targetDir)) {
+        return res.status(403).json({ error: 'Access denied' })
+    }
+
+    if (!fs.existsSync(targetDir)) {
+        return res.status(404).json({ error: 'Directory not found' })
+    }
+
+    try {
+        const job = createConversionJob(findReplayFiles(targetDir), { path: requestedPath })
+        res.status(202).json({
+            message: 'Conversion job queued',
+            job: getPublicJob(job)
+        })
+    } catch (error) {
+        logger.error('Error during conversion:', error)
+        res.status(500).json({
+            error: 'Failed to convert files',
+            details: error.message
+        })
+    }
+})
+
+// Conversion Jobs - replays are parsed in a pool of worker threads, one job at a time in queue order
+// A worker that crashes or takes longer than CONVERSION_TIMEOUT_MS on one replay is replaced by a new one
+const CONVERT_WORKER_FILE = path.join(__dirname, 'convert_worker.js')
+const CONVERSION_WORKERS = Math.max(1, Math.min(os.cpus().length - 1, 4))
+const CONVERSION_TIMEOUT_MS = 2 * 60 * 1000
+const JOB_HISTORY_LIMIT = 20
+const conversionJobs = new Map()
+const jobQueue = []
+let nextJobId = 1
+let activeJob = null
+
+// Function to find every .w3g file under a directory
+function findReplayFiles(dir) {
+    const files = []
+
+    function processDirectory(currentDir) {
+        for (const item of fs.readdirSync(currentDir)) {
+            const fullPath = path.join(currentDir, item)
+
+            if (fs.statSync(fullPath).isDirectory()) {
+                processDirectory(fullPath)
+            } else if (item.toLowerCase().endsWith('.w3g')) {
+                files.push(fullPath)
+            }
+        }
+    }
+
+    processDirectory(dir)
+
+    return files
+}
+
+// Function to get the path of a replay relative to the replay directory
+function getReplayRelativePath(filePath) {
+    return path.relative(replayDir, filePath).replace(/\\/g, '/')
+}
+
+// Function to get the state of a job as sent to the browser
+function getPublicJob(job) {
+    const { files, pending, onConverted, ...publicJob } = job
+    return publicJob
+}
+
+// Function to queue the conversion of a list of .w3g files, returns the job
+// onConverted is called with the path of every replay that got a new analysis
+function createConversionJob(files, options = {}) {
+    const job = {
+        id: String(nextJobId++),
+        path: options.path || '',
+        status: 'queued',
+        totalFiles: files.length,
+        processedFiles: 0,
+        convertedFiles: 0,
+        skippedFiles: 0,
+        errorFiles: 0,
+        currentFiles: [],
+        failures: [],
+        createdAt: Date.now(),
+        startedAt: null,
+        finishedAt: null,
+        files,
+        pending: [...files],
+        onConverted: options.onConverted || null
+    }
+
+    conversionJobs.set(job.id, job)
+    jobQueue.push(job)
+
+    // Forget the oldest finished jobs
+    const finishedJobs = Array.from(conversionJobs.values()).filter(entry => entry.finishedAt !== null)
+    finishedJobs.slice(0, Math.max(0, finishedJobs.length - JOB_HISTORY_LIMIT)).forEach(entry => {
+        conversionJobs.delete(entry.id)
+    })
+
+    broadcastEvent('job', getPublicJob(job))
+    runNextJob()
+
+    return job
+}
+
+// Function to start the next queued job once the previous one is done
+async function runNextJob() {
+    if (activeJob || jobQueue.length === 0) return
+
+    const job = jobQueue.shift()
+    if (job.status === 'cancelled') return runNextJob()
+
+    activeJob = job
+    job.status = 'running'
+    job.startedAt = Date.now()
+    broadcastEvent('job', getPublicJob(job))
+    logger.log(`🔄 Conversion job ${job.id} started: ${job.totalFiles} files`)
+
+    const lanes = Math.min(CONVERSION_WORKERS, job.pending.length)
+    await Promise.all(Array.from({ length: lanes }, () => runConversionLane(job)))
+
+    if (job.status === 'running') {
+        job.status = 'completed'
+    }
+    job.finishedAt = Date.now()
+    saveReplayIndex()
+    broadcastEvent('job', getPublicJob(job))
+    logger.log(`📊 Conversion job ${job.id} ${job.status}: ${job.totalFiles} total, ${job.convertedFiles} converted, ${job.skippedFiles} skipped, ${job.errorFiles} errors`)
+
+    activeJob = null
+    runNextJob()
+}
+
+// Function to convert pending files of a job one by one in its own worker thread until none are left
+async function runConversionLane(job) {
+    let worker = null
+
+    while (job.pending.length > 0 && job.status === 'running') {
+        const filePath = job.pending.shift()
+        const relativePath = getReplayRelativePath(filePath)
+
+        job.currentFiles.push(relativePath)
+        broadcastEvent('job', getPublicJob(job))
+
+        try {
+            if (fs.existsSync(filePath) && isAnalysisUpToDate(filePath)) {
+                job.skippedFiles++
+            } else {
+                if (!worker) worker = new Worker(CONVERT_WORKER_FILE)
+
+                const { analysisPath, warning } = await convertReplayInWorker(worker, filePath)
+                if (warning) logger.warn(warning)
+
+                getIndexedGame(analysisPath)
+                clearReplayFailure(filePath)
+                job.convertedFiles++
+                logger.log(`✓ Converted ${path.basename(filePath)}`)
+
+                if (job.onConverted) job.onConverted(filePath)
+            }
+        } catch (error) {
+            const failure = fs.existsSync(filePath) ? recordReplayFailure(filePath, error) : { reason: error.message }
+            logger.error(`✗ Failed to convert ${path.basename(filePath)}: ${failure.reason}`)
+            job.errorFiles++
+            job.failures.push({ path: relativePath, error: failure.reason })
+
+            // A crashed or stuck worker can't be reused
+            if (error.workerCrashed) {
+                worker.terminate()
+                worker = null
+            }
+        }
+
+        job.processedFiles++
+        job.currentFiles = job.currentFiles.filter(entry => entry !== relativePath)
+        broadcastEvent('job', getPublicJob(job))
+    }
+
+    if (worker) await worker.terminate()
+}
+
+// Function to convert a replay in a worker thread, resolves like convertReplay with the analysis cache it wrote
+// Rejects with `workerCrashed` set if the worker died or timed out, the worker must not be used again then
+function convertReplayInWorker(worker, filePath) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            clearTimeout(timeout)
+            worker.off('message', onMessage)
+            worker.off('error', onError)
+            worker.off('exit', onExit)
+        }
+        const onMessage = message => {
+            cleanup()
+            if (message.error) {
+                reject(new Error(message.error))
+            } else {
+                resolve(message)
+            }
+        }
+        const crash = error => {
+            cleanup()
+            error.workerCrashed = true
+            reject(error)
+        }
+        const onError = error => crash(error)
+        const onExit = code => crash(new Error(`Conversion worker exited with code ${code}`))
+        const timeout = setTimeout(() => {
+            crash(new Error(`Conversion timed out after ${CONVERSION_TIMEOUT_MS / 1000} seconds`))
+        }, CONVERSION_TIMEOUT_MS)
+
+        worker.on('message', onMessage)
+        worker.on('error', onError)
+        worker.on('exit', onExit)
+        worker.postMessage({ filePath })
+    })
+}
+
+// Function to queue the conversion of a single replay, returns the job converting it
+// A replay that is already waiting in a job isn't queued again, `options` are passed to a new job
+function queueReplayConversion(w3gFilePath, options = {}) {
+    const relativePath = getReplayRelativePath(w3gFilePath)
+    const existingJob = Array.from(conversionJobs.values()).find(job =>
+        (job.status === 'queued' || job.status === 'running') &&
+        (job.pending.includes(w3gFilePath) || job.currentFiles.includes(relativePath))
+    )
+
+    return existingJob || createConversionJob([w3gFilePath], {
+        path: path.posix.dirname(relativePath).replace(/^\.$/, ''),
+        ...options
+    })
+}
+
+// Function to answer a request for the analysis of a replay that has none yet
+// 202 with the job converting it, or 500 with the diagnosis if it failed to convert
+function sendMissingAnalysis(res, w3gFilePath) {
+    const failure = getReplayFailure(w3gFilePath)
+
+    if (failure) {
+        return res.status(500).json({
+            error: 'Failed to parse W3G file',
+            details: failure.reason,
+            diagnosis: failure
+        })
+    }
+
+    res.status(202).json({
+        message: 'Replay conversion queued',
+        job: getPublicJob(queueReplayConversion(w3gFilePath))
+    })
+}
+
+// API endpoint to list recent conversion jobs
+app.get('/api/jobs', (req, res) => {
+    res.json(Array.from(conversionJobs.values()).map(getPublicJob).reverse())
+})
+
+// API endpoint to get the progress of a conversion job
+app.get('/api/jobs/:id', (req, res) => {
+    const job = conversionJobs.get(req.params.id)
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+    }
+
+    res.json(getPublicJob(job))
+})
+
+// API endpoint to cancel a conversion job - files already being converted still finish
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = conversionJobs.get(req.params.id)
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+    }
+
+    if (job.status !== 'queued' && job.status !== 'running') {
+        return res.status(409).json({ error: `Job is already ${job.status}` })
+    }
+
+    if (job.status === 'queued') {
+        job.finishedAt = Date.now()
+    }
+    job.status = 'cancelled'
+    broadcastEvent('job', getPublicJob(job))
+
+    res.json(getPublicJob(job))
+})
+
+// API endpoint to retry the failed files of a job, or a single one of them given as `path`
+app.post('/api/jobs/:id/retry', (req, res) => {
+    const job = conversionJobs.get(req.params.id)
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' })
+    }
+
+    const requestedPath = req.body && req.body.path
+    const failures = job.failures.filter(failure => !requestedPath || failure.path === requestedPath)
+
+    if (failures.length === 0) {
+        return res.status(400).json({ error: 'No failed files to retry' })
+    }
+
+    const retryJob = createConversionJob(
+        failures.map(failure => path.join(replayDir, failure.path)),
+        { path: job.path }
+    )
+
+    res.status(202).json(getPublicJob(retryJob))
+})
+
+// API endpoint to list replays that failed to convert and games excluded from statistics
+app.get('/api/failures', (req, res) => {
+    try {
+        const excluded = syncReplayIndex(replayDir)
+            .filter(gameData => gameData.excluded)
+            .map(gameData => ({
+                name: path.basename(gameData.path),
+                path: gameData.path,
+                reason: gameData.excluded,
+                time: gameData.time,
+                map: getMapName(gameData.game && gameData.game.map),
+                duration: gameData.header ? gameData.header.length : 0
+            }))
+
+        res.json({ failures: getReplayFailures(), excluded })
+    } catch (error) {
+        logger.error('Error listing replay failures:', error)
+        res.status(500).json({
+            error: 'Failed to list replay failures',
+            details: error.message
+        })
+    }
+})
+
+// Uploaded replays are kept in memory until they are validated and written to their session folder
+// Zip archives are checked against these limits by their declared sizes before anything is unpacked
+const UPLOAD_FILE_SIZE_LIMIT = 100 * 1024 * 1024
+const ZIP_ENTRY_LIMIT = 1000
+const ZIP_UNPACKED_SIZE_LIMIT = 500 * 1024 * 1024
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: UPLOAD_FILE_SIZE_LIMIT }
+})
+
+// Middleware to receive the uploaded files, answering upload limit errors as JSON
+function receiveUploadedFiles(req, res, next) {
+    upload.array('files')(req, res, error => {
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                error: error.code === 'LIMIT_FILE_SIZE'
+                    ? `File is larger than ${UPLOAD_FILE_SIZE_LIMIT / 1024 / 1024} MB`
+                    : 'Invalid upload',
+                details: error.message
+            })
+        }
+
+        next(error)
+    })
+}
+
+// API endpoint to upload .w3g files (or zip archives of session folders)
+// `folders` lists the folders replays were written to, zip entries may keep their own session folders
+app.post('/api/upload', receiveUploadedFiles, (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' })
+    }
+
+    const sessionFolder = `Replay_${formatReplayTimestamp(new Date())}`
+    const result = {
+        folders: [],
+        uploaded: [],
+        duplicates: [],
+        rejected: []
+    }
+
+    try {
+        const knownChecksums = getKnownReplayChecksums(replayDir)
+
+        getUploadedReplays(req.files, result.rejected).forEach(replay => {
+            const header = readReplayHeader(replay.buffer)
+
+            if (!header) {
+                result.rejected.push({ name: replay.name, reason: 'Not a Warcraft III replay' })
+                return
+            }
+
+            if (knownChecksums.has(header.checksum)) {
+                result.duplicates.push({ name: replay.name, existingPath: knownChecksums.get(header.checksum) })
+                return
+            }
+
+            // LastReplay.w3g would be picked up by the watcher again, so store it under a dated name
+            const fileName = replay.name.toLowerCase() === LAST_REPLAY_NAME
+                ? `Replay_${formatReplayTimestamp(new Date())}.w3g`
+                : replay.name
+            const targetDir = path.join(replayDir, replay.folder || sessionFolder)
+            const targetPath = getAvailableFilePath(path.join(targetDir, fileName))
+            const relativePath = path.relative(replayDir, targetPath).replace(/\\/g, '/')
+            const folder = path.posix.dirname(relativePath)
+
+            fs.mkdirSync(targetDir, { recursive: true })
+            fs.writeFileSync(targetPath, replay.buffer)
+            knownChecksums.set(header.checksum, relativePath)
+
+            if (!result.folders.includes(folder)) result.folders.push(folder)
+            result.uploaded.push({ name: path.basename(targetPath), path: relativePath })
+        })
+
+        // The stored replays are converted in the background, each one is announced once it's ready
+        if (result.uploaded.length > 0) {
+            const job = createConversionJob(
+                result.uploaded.map(replay => path.join(replayDir, replay.path)),
+                { path: result.folders.length === 1 ? result.folders[0] : '', onConverted: announceReplay }
+            )
+            result.job = getPublicJob(job)
+        }
+
+        res.json(result)
+    } catch (error) {
+        logger.error('Error during upload:', error)
+        res.status(500).json({
+            error: 'Failed to store uploaded files',
+            details: error.message
+        })
+    }
+})
+
+// Function to format a date the way replay files and session folders are named, e.g. 2025_07_18_1755
+function formatReplayTimestamp(date) {
+    const pad = value => String(value).padStart(2, '0')
+    return `${date.getFullYear()}_${pad(date.getMonth() + 1)}_${pad(date.getDate())}_${pad(date.getHours())}${pad(date.getMinutes())}`
+}
+
+// Function to map the checksum of every replay under a directory to its relative path
+function getKnownReplayChecksums(dir) {
+    const checksums = new Map()
+
+    function processDirectory(currentDir) {
+        for (const item of fs.readdirSync(currentDir)) {
+            const fullPath = path.join(currentDir, item)
+            const stat = fs.statSync(fullPath)
+
+            if (stat.isDirectory()) {
+                processDirectory(fullPath)
+            } else if (item.toLowerCase().endsWith('.w3g')) {
+                const header = readReplayFileHeader(fullPath)
+                if (header) {
+                    checksums.set(header.checksum, path.relative(dir, fullPath).replace(/\\/g, '/'))
+                }
+            }
+        }
+    }
+
+    processDirectory(dir)
+
+    return checksums
+}
+
+// Function to expand uploaded files into replays, unpacking zip archives
+// Zip entries inside a Replay_YYYY_MM_DD_HHMM folder keep that session folder
+function getUploadedReplays(files, rejected) {
+    const replays = []
+
+    files.forEach(file => {
+        const fileName = path.basename(file.originalname)
+
+        if (fileName.toLowerCase().endsWith('.zip')) {
+            try {
+                const entries = new AdmZip(file.buffer).getEntries()
+                const replayEntries = entries.filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.w3g'))
+                const unpackedSize = replayEntries.reduce((sum, entry) => sum + entry.header.size, 0)
+
+                if (entries.length > ZIP_ENTRY_LIMIT) {
+                    rejected.push({ name: fileName, reason: `Zip archive has more than ${ZIP_ENTRY_LIMIT} entries` })
+                    return
+                }
+                if (unpackedSize > ZIP_UNPACKED_SIZE_LIMIT) {
+                    rejected.push({ name: fileName, reason: `Zip archive unpacks to more than ${ZIP_UNPACKED_SIZE_LIMIT / 1024 / 1024} MB` })
+                    return
+                }
+
+                replayEntries.forEach(entry => {
+                    const name = sanitizeFileName(path.posix.basename(entry.entryName))
+
+                    if (entry.header.size > UPLOAD_FILE_SIZE_LIMIT) {
+                        rejected.push({ name, reason: `Replay is larger than ${UPLOAD_FILE_SIZE_LIMIT / 1024 / 1024} MB` })
+                        return
+                    }
+
+                    const folder = path.posix.basename(path.posix.dirname(entry.entryName))
+                    replays.push({
+                        name,
+                        folder: /^Replay_\d{4}_\d{2}_\d{2}_\d{4}$/.test(folder) ? folder : null,
+                        buffer: entry.getData()
+                    })
+                })
+            } catch (error) {
+                rejected.push({ name: fileName, reason: 'Invalid zip archive: ' + error.message })
+            }
+        } else if (fileName.toLowerCase().endsWith('.w3g')) {
+            replays.push({ name: sanitizeFileName(fileName), folder: null, buffer: file.buffer })
+        } else {
+            rejected.push({ name: fileName, reason: 'Only .w3g and .zip files are accepted' })
+        }
+    })
+
+    return replays
+}
+
+// Function to strip characters that are not safe in file names
+function sanitizeFileName(fileName) {
+    return fileName.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+}
+
+// Function to get a file path that doesn't exist yet, adding a numeric suffix if needed
+function getAvailableFilePath(filePath) {
+    const extension = path.extname(filePath)
+    const base = filePath.slice(0, -extension.length)
+    let candidate = filePath
+    let counter = 1
+
+    while (fs.existsSync(candidate)) {
+        candidate = `${base}_${counter}${extension}`
+        counter++
+    }
+
+    return candidate
+}
+
+// API endpoint to get dashboard statistics, optionally limited to one game mode (?mode=1v1)
+app.get('/api/dashboard', checkGameMode, (req, res) => {
+    const mode = req.query.mode || null
+
+    try {
+        const stats = generateDashboardStats(replayDir, mode)
+        res.json(stats)
+    } catch (error) {
+        logger.error('Error generating dashboard stats:', error)
+        res.status(500).json({
+            error: 'Failed to generate dashboard statistics',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get player ratings, optionally limited to one game mode
+app.get('/api/ratings', checkGameMode, (req, res) => {
+    const mode = req.query.mode || null
+
+    try {
+        const ratings = calculateRatings(replayDir, mode)
+        res.json(ratings)
+    } catch (error) {
+        logger.error('Error calculating ratings:', error)
+        res.status(500).json({
+            error: 'Failed to calculate ratings',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to list player aliases and every player name seen in the library
+app.get('/api/aliases', (req, res) => {
+    try {
+        const names = {}
+
+        syncReplayIndex(replayDir).forEach(gameData => {
+            getGamePlayers(gameData).forEach(player => {
+                if (!names[player.name]) {
+                    names[player.name] = { name: player.name, player: normalizePlayerName(player.name), games: 0 }
+                }
+                names[player.name].games++
+            })
+        })
+
+        res.json({
+            aliases: playerAliases,
+            names: Object.values(names).sort((a, b) => b.games - a.games)
+        })
+    } catch (error) {
+        logger.error('Error listing aliases:', error)
+        res.status(500).json({
+            error: 'Failed to list aliases',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to suggest likely aliases
+app.get('/api/aliases/suggestions', (req, res) => {
+    try {
+        res.json(suggestPlayerAliases(replayDir))
+    } catch (error) {
+        logger.error('Error suggesting aliases:', error)
+        res.status(500).json({
+            error: 'Failed to suggest aliases',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to merge a name into a player identity
+app.put('/api/aliases/:alias', (req, res) => {
+    const alias = req.params.alias
+    const player = req.body && typeof req.body.player === 'string' ? req.body.player.trim() : ''
+
+    if (!player) {
+        return res.status(400).json({ error: 'Player name is required' })
+    }
+
+    // Point at the main identity so aliases never chain
+    const mainName = normalizePlayerName(player)
+
+    if (mainName.toLowerCase() === alias.toLowerCase()) {
+        return res.status(400).json({ error: 'A name cannot be an alias of itself' })
     }
 
     try {
-        const result = convertAllW3GInDirectory(targetDir)
-        res.json({
-            message: 'Conversion process completed',
-            result: result
+        // Drop any existing entry for this name, whatever its case
+        Object.keys(playerAliases).forEach(variation => {
+            if (variation.toLowerCase() === alias.toLowerCase()) {
+                delete playerAliases[variation]
+            }
+        })
+
+        // Names that were merged into the alias follow it to the new identity
+        Object.entries(playerAliases).forEach(([variation, target]) => {
+            if (target.toLowerCase() === alias.toLowerCase()) {
+                playerAliases[variation] = mainName
+            }
+        })
+
+        playerAliases[alias] = mainName
+        savePlayerAliases()
+        res.json({ aliases: playerAliases })
+    } catch (error) {
+        logger.error('Error saving alias:', error)
+        res.status(500).json({
+            error: 'Failed to save alias',
+            details: error.message
         })
+    }
+})
+
+// API endpoint to split a name back out of a player identity
+app.delete('/api/aliases/:alias', (req, res) => {
+    const alias = req.params.alias
+    const variation = Object.keys(playerAliases).find(name => name.toLowerCase() === alias.toLowerCase())
+
+    if (!variation) {
+        return res.status(404).json({ error: 'Alias not found' })
+    }
+
+    try {
+        delete playerAliases[variation]
+        savePlayerAliases()
+        res.json({ aliases: playerAliases })
     } catch (error) {
-        console.error('Error during conversion:', error)
+        logger.error('Error removing alias:', error)
         res.status(500).json({
-            error: 'Failed to convert files',
+            error: 'Failed to remove alias',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the profile of a player, optionally limited to one game mode
+app.get('/api/players/:name', checkGameMode, (req, res) => {
+    const mode = req.query.mode || null
+
+    try {
+        const playerName = normalizePlayerName(req.params.name)
+        const profile = generatePlayerProfile(replayDir, playerName, mode)
+
+        if (profile.totalGames === 0) {
+            return res.status(404).json({ error: 'Player not found' })
+        }
+
+        res.json(profile)
+    } catch (error) {
+        logger.error('Error generating player profile:', error)
+        res.status(500).json({
+            error: 'Failed to generate player profile',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the head-to-head record of a player against every opponent
+app.get('/api/players/:name/versus', (req, res) => {
+    try {
+        const playerName = normalizePlayerName(req.params.name)
+        const pairwise = generatePairwiseStats(replayDir)
+
+        if (!pairwise.versus[playerName] && !pairwise.partners[playerName]) {
+            return res.status(404).json({ error: 'Player not found' })
+        }
+
+        const opponents = Object.entries(pairwise.versus[playerName] || {})
+            .map(([name, record]) => ({
+                name,
+                wins: record.wins,
+                losses: record.losses,
+                games: record.wins + record.losses,
+                matchups: record.matchups
+            }))
+            .sort((a, b) => b.games - a.games)
+
+        res.json({ player: playerName, opponents })
+    } catch (error) {
+        logger.error('Error generating head-to-head stats:', error)
+        res.status(500).json({
+            error: 'Failed to generate head-to-head statistics',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the record of a player with every teammate
+app.get('/api/players/:name/partners', (req, res) => {
+    try {
+        const playerName = normalizePlayerName(req.params.name)
+        const pairwise = generatePairwiseStats(replayDir)
+
+        if (!pairwise.versus[playerName] && !pairwise.partners[playerName]) {
+            return res.status(404).json({ error: 'Player not found' })
+        }
+
+        const partners = Object.entries(pairwise.partners[playerName] || {})
+            .map(([name, record]) => ({
+                name,
+                wins: record.wins,
+                losses: record.losses,
+                games: record.wins + record.losses
+            }))
+            .sort((a, b) => b.games - a.games)
+
+        res.json({ player: playerName, partners })
+    } catch (error) {
+        logger.error('Error generating teammate stats:', error)
+        res.status(500).json({
+            error: 'Failed to generate teammate statistics',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get library-wide skill build statistics of a hero, optionally limited to one game mode
+app.get('/api/heroes/:hero', checkGameMode, (req, res) => {
+    const mode = req.query.mode || null
+
+    try {
+        const stats = generateHeroStats(replayDir, req.params.hero, mode)
+
+        if (stats.games === 0) {
+            return res.status(404).json({ error: 'Hero not found' })
+        }
+
+        res.json(stats)
+    } catch (error) {
+        logger.error('Error generating hero statistics:', error)
+        res.status(500).json({
+            error: 'Failed to generate hero statistics',
+            details: error.message
+        })
+    }
+})
+
+// Map Previews - map files stored next to the replays, their preview images are decoded by map_preview.js
+const mapFileCache = new Map()
+
+// Function to find the map files under a directory by lowercase file name
+// Results are cached per directory, the replay watcher drops them when a map file is added or removed
+function findMapFiles(dir) {
+    if (mapFileCache.has(dir)) return mapFileCache.get(dir)
+
+    const mapFiles = {}
+
+    function processDirectory(currentDir) {
+        for (const item of fs.readdirSync(currentDir)) {
+            const fullPath = path.join(currentDir, item)
+            const stat = fs.statSync(fullPath)
+
+            if (stat.isDirectory()) {
+                processDirectory(fullPath)
+            } else if (/\.w3[xm]$/i.test(item)) {
+                mapFiles[item.toLowerCase()] = fullPath
+            }
+        }
+    }
+
+    processDirectory(dir)
+    mapFileCache.set(dir, mapFiles)
+
+    return mapFiles
+}
+
+// Function to aggregate per-map statistics: games, duration, race and slot win rates, popular heroes
+// Start positions aren't recorded in replays, so win rates are grouped by player slot (color)
+function generateMapStats(dir, mode = null) {
+    const maps = {}
+    const mapFiles = findMapFiles(dir)
+
+    getStatsGames(dir, mode).forEach(gameData => {
+        if (!gameData.game) return
+
+        const name = getMapName(gameData.game.map)
+        if (!maps[name]) {
+            maps[name] = {
+                name,
+                games: 0,
+                averageDuration: 0,
+                totalDuration: 0,
+                startSpots: gameData.game.start_spots || null,
+                hasPreview: Boolean(mapFiles[`${name.toLowerCase()}.w3x`] || mapFiles[`${name.toLowerCase()}.w3m`]),
+                races: {},
+                slots: {},
+                heroes: {}
+            }
+        }
+
+        const map = maps[name]
+        const result = resolveGameResult(gameData)
+        map.games++
+        map.totalDuration += gameData.header ? gameData.header.length : 0
+
+        getGamePlayers(gameData).forEach(player => {
+            const race = player.race_detected || player.race
+            const playerResult = getPlayerResult(result, player)
+            const won = playerResult === 'win'
+
+            if (!map.races[race]) {
+                map.races[race] = { wins: 0, losses: 0 }
+            }
+            if (!map.slots[player.color]) {
+                map.slots[player.color] = { wins: 0, losses: 0 }
+            }
+
+            if (won) {
+                map.races[race].wins++
+                map.slots[player.color].wins++
+            } else if (playerResult === 'loss') {
+                map.races[race].losses++
+                map.slots[player.color].losses++
+            }
+
+            Object.keys(player.heroes || {}).forEach(hero => {
+                if (hero === 'order') return
+                if (!map.heroes[hero]) {
+                    map.heroes[hero] = { hero, games: 0, wins: 0 }
+                }
+                map.heroes[hero].games++
+                if (won) map.heroes[hero].wins++
+            })
+        })
+    })
+
+    return Object.values(maps)
+        .map(({ totalDuration, ...map }) => ({
+            ...map,
+            averageDuration: Math.round(totalDuration / map.games),
+            heroes: Object.values(map.heroes).sort((a, b) => b.games - a.games)
+        }))
+        .sort((a, b) => b.games - a.games)
+}
+
+// API endpoint to get per-map statistics of the library, optionally limited to one game mode
+app.get('/api/maps', checkGameMode, (req, res) => {
+    const mode = req.query.mode || null
+
+    try {
+        res.json(generateMapStats(replayDir, mode))
+    } catch (error) {
+        logger.error('Error generating map statistics:', error)
+        res.status(500).json({
+            error: 'Failed to generate map statistics',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the preview image of a map stored next to the replays
+app.get('/api/maps/:name/preview', (req, res) => {
+    try {
+        const mapFiles = findMapFiles(replayDir)
+        const name = req.params.name.toLowerCase()
+        const mapFilePath = mapFiles[`${name}.w3x`] || mapFiles[`${name}.w3m`]
+
+        if (!mapFilePath || !fs.existsSync(mapFilePath)) {
+            return res.status(404).json({ error: 'Map file not found' })
+        }
+
+        const png = getMapPreview(mapFilePath, logger)
+        if (!png) {
+            return res.status(404).json({ error: 'Map has no readable preview image' })
+        }
+
+        res.type('png').send(png)
+    } catch (error) {
+        logger.error('Error reading map preview:', error)
+        res.status(500).json({
+            error: 'Failed to read map preview',
+            details: error.message
+        })
+    }
+})
+
+// Session Reports - a session is a Replay_YYYY_MM_DD_HHMM folder, loose replays are grouped
+// into sessions whenever the gap between two games is shorter than SESSION_GAP_MS
+const SESSION_GAP_MS = 2 * 60 * 60 * 1000
+const SESSION_FOLDER_PATTERN = /^Replay_\d{4}_\d{2}_\d{2}_\d{4}$/
+
+// Function to group the indexed games of a directory into play sessions, newest first
+function detectSessions(dir) {
+    const sessions = {}
+    let looseSession = null
+
+    getStatsGames(dir).forEach(gameData => {
+        const folder = path.dirname(gameData.path).split('/').pop()
+        let id
+
+        if (SESSION_FOLDER_PATTERN.test(folder)) {
+            id = folder
+        } else {
+            if (!looseSession || gameData.time - looseSession.end > SESSION_GAP_MS) {
+                looseSession = { id: `Games_${formatReplayTimestamp(new Date(gameData.time))}`, end: gameData.time }
+            }
+            looseSession.end = gameData.time
+            id = looseSession.id
+        }
+
+        if (!sessions[id]) {
+            sessions[id] = { id, start: gameData.time, end: gameData.time, games: [] }
+        }
+        sessions[id].start = Math.min(sessions[id].start, gameData.time)
+        sessions[id].end = Math.max(sessions[id].end, gameData.time)
+        sessions[id].games.push(gameData)
+    })
+
+    return Object.values(sessions).sort((a, b) => b.start - a.start)
+}
+
+// Function to summarize a session: player records, MVP, longest game and race picks
+// The MVP has the highest win contribution - their share of their team's APM summed over won games
+function generateSessionReport(session) {
+    const report = {
+        id: session.id,
+        start: session.start,
+        end: session.end,
+        totalGames: session.games.length,
+        players: [],
+        mvp: null,
+        longestGame: null,
+        races: {},
+        games: []
+    }
+    const players = {}
+
+    session.games.forEach(gameData => {
+        const gamePlayers = getGamePlayers(gameData)
+        const duration = gameData.header ? gameData.header.length : 0
+        const teamApm = {}
+        const result = resolveGameResult(gameData)
+        const w3gPath = path.join(replayDir, gameData.path)
+        const game = {
+            name: path.basename(gameData.path),
+            path: gameData.path,
+            size: fs.existsSync(w3gPath) ? fs.statSync(w3gPath).size : 0,
+            time: gameData.time,
+            map: getMapName(gameData.game.map),
+            duration,
+            matchup: gameData.matchup,
+            winners: []
+        }
+
+        gamePlayers.forEach(player => {
+            teamApm[player.team] = (teamApm[player.team] || 0) + (player.apm || 0)
+        })
+
+        gamePlayers.forEach(player => {
+            const name = normalizePlayerName(player.name)
+            const race = player.race_detected || player.race
+            const playerResult = getPlayerResult(result, player)
+
+            if (!players[name]) {
+                players[name] = { name, games: 0, wins: 0, losses: 0, totalApm: 0, winContribution: 0, races: {} }
+            }
+
+            const record = players[name]
+            record.games++
+            record.totalApm += player.apm || 0
+            record.races[race] = (record.races[race] || 0) + 1
+            report.races[race] = (report.races[race] || 0) + 1
+
+            if (playerResult === 'win') {
+                record.wins++
+                record.winContribution += teamApm[player.team] > 0 ? (player.apm || 0) / teamApm[player.team] : 0
+                game.winners.push(name)
+            } else if (playerResult === 'loss') {
+                record.losses++
+            }
+        })
+
+        if (!report.longestGame || duration > report.longestGame.duration) {
+            report.longestGame = game
+        }
+        report.games.push(game)
+    })
+
+    report.players = Object.values(players)
+        .map(({ totalApm, ...record }) => ({
+            ...record,
+            averageApm: Math.round(totalApm / record.games),
+            winRate: getWinRate(record.wins, record.losses),
+            winContribution: parseFloat(record.winContribution.toFixed(2))
+        }))
+        .sort((a, b) => b.winContribution - a.winContribution || b.averageApm - a.averageApm)
+    report.mvp = report.players[0] || null
+
+    return report
+}
+
+// Function to format a duration in milliseconds as m:ss
+function formatDuration(milliseconds) {
+    const seconds = Math.floor((milliseconds || 0) / 1000)
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Function to format a timestamp as YYYY-MM-DD HH:MM
+function formatDateTime(time) {
+    const [year, month, day, hourMinute] = formatReplayTimestamp(new Date(time)).split('_')
+    return `${year}-${month}-${day} ${hourMinute.slice(0, 2)}:${hourMinute.slice(2)}`
+}
+
+// Function to escape text for HTML output
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
+
+// Function to get the rows of the tables shared by the Markdown and HTML session reports
+function getSessionReportTables(report) {
+    return {
+        players: {
+            headers: ['Player', 'Games', 'W-L', 'Win Rate', 'Avg APM', 'Win Contribution', 'Races'],
+            rows: report.players.map(player => [
+                player.name,
+                player.games,
+                `${player.wins}-${player.losses}`,
+                `${player.winRate}%`,
+                player.averageApm,
+                player.winContribution,
+                Object.entries(player.races).map(([race, count]) => `${race} ×${count}`).join(', ')
+            ])
+        },
+        games: {
+            headers: ['Time', 'Map', 'Matchup', 'Duration', 'Winners'],
+            rows: report.games.map(game => [
+                formatDateTime(game.time),
+                game.map,
+                game.matchup,
+                formatDuration(game.duration),
+                game.winners.join(', ')
+            ])
+        }
+    }
+}
+
+// Function to get the summary lines shared by the Markdown and HTML session reports
+function getSessionReportSummary(report) {
+    const lines = [
+        `${report.totalGames} games from ${formatDateTime(report.start)} to ${formatDateTime(report.end)}`
+    ]
+
+    if (report.mvp) {
+        lines.push(`MVP: ${report.mvp.name} (${report.mvp.wins} wins, ${report.mvp.averageApm} APM, win contribution ${report.mvp.winContribution})`)
+    }
+    if (report.longestGame) {
+        lines.push(`Longest game: ${report.longestGame.map}, ${formatDuration(report.longestGame.duration)} (${report.longestGame.name})`)
+    }
+    lines.push(`Race picks: ${Object.entries(report.races).map(([race, count]) => `${race} ×${count}`).join(', ')}`)
+
+    return lines
+}
+
+// Function to render a session report as Markdown
+function renderSessionMarkdown(report) {
+    const tables = getSessionReportTables(report)
+    const renderTable = table => [
+        `| ${table.headers.join(' | ')} |`,
+        `| ${table.headers.map(() => '---').join(' | ')} |`,
+        ...table.rows.map(row => `| ${row.map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`)
+    ].join('\n')
+
+    return [
+        `# Session ${report.id}`,
+        '',
+        ...getSessionReportSummary(report).map(line => `- ${line}`),
+        '',
+        '## Players',
+        '',
+        renderTable(tables.players),
+        '',
+        '## Games',
+        '',
+        renderTable(tables.games),
+        ''
+    ].join('\n')
+}
+
+// Function to render a session report as a standalone HTML page
+function renderSessionHtml(report) {
+    const tables = getSessionReportTables(report)
+    const renderTable = table => `<table>
+<thead><tr>${table.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Session ${escapeHtml(report.id)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #0d1117; color: #c9d1d9; margin: 32px; }
+h1, h2 { color: #f0f6fc; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 24px; }
+th, td { border-bottom: 1px solid #30363d; padding: 6px 10px; text-align: left; }
+th { color: #8b949e; }
+</style>
+</head>
+<body>
+<h1>Session ${escapeHtml(report.id)}</h1>
+<ul>
+${getSessionReportSummary(report).map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}
+</ul>
+<h2>Players</h2>
+${renderTable(tables.players)}
+<h2>Games</h2>
+${renderTable(tables.games)}
+</body>
+</html>
+`
+}
+
+// API endpoint to list the play sessions of the library
+app.get('/api/sessions', (req, res) => {
+    try {
+        const sessions = detectSessions(replayDir).map(session => ({
+            id: session.id,
+            start: session.start,
+            end: session.end,
+            games: session.games.length,
+            players: Array.from(new Set(session.games.flatMap(gameData =>
+                getGamePlayers(gameData).map(player => normalizePlayerName(player.name))
+            ))).sort()
+        }))
+
+        res.json(sessions)
+    } catch (error) {
+        logger.error('Error detecting sessions:', error)
+        res.status(500).json({
+            error: 'Failed to detect sessions',
+            details: error.message
+        })
+    }
+})
+
+// API endpoint to get the report of a session, as JSON or as a downloadable HTML/Markdown file
+app.get('/api/sessions/:id', (req, res) => {
+    try {
+        const session = detectSessions(replayDir).find(entry => entry.id === req.params.id)
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' })
+        }
+
+        const report = generateSessionReport(session)
+
+        if (req.query.format === 'md') {
+            res.attachment(`${report.id}.md`)
+            return res.type('text/markdown').send(renderSessionMarkdown(report))
+        }
+        if (req.query.format === 'html') {
+            res.attachment(`${report.id}.html`)
+            return res.type('html').send(renderSessionHtml(report))
+        }
+
+        res.json(report)
+    } catch (error) {
+        logger.error('Error generating session report:', error)
+        res.status(500).json({
+            error: 'Failed to generate session report',
             details: error.message
         })
     }
 })
 
-// API endpoint to get dashboard statistics
-app.get('/api/dashboard', (req, res) => {
-    try {
-        const replayDir = path.join(__dirname, 'replay')
-        const stats = generateDashboardStats(replayDir)
-        res.json(stats)
-    } catch (error) {
-        console.error('Error generating dashboard stats:', error)
-        res.status(500).json({
-            error: 'Failed to generate dashboard statistics',
-            details: error.message
+// Function to generate dashboard statistics
+function generateDashboardStats(dir, mode = null) {
+    const stats = {
+        mode,
+        totalGames: 0,
+        playerStats: {},
+        pairwise: {
+            versus: {},
+            partners: {}
+        }
+    }
+    
+    const games = syncReplayIndex(dir)
+    const duplicates = getDuplicateMatches(dir)
+    const countedGames = games.filter(gameData => !gameData.excluded && isCanonicalCopy(gameData, duplicates))
+    countedGames.filter(gameData => !mode || gameData.mode === mode).forEach(gameData => {
+        processGameData(gameData, stats)
+        processPairwiseData(gameData, stats.pairwise)
+        stats.totalGames++
+    })
+
+    // Games of each mode, whichever mode the statistics are limited to
+    stats.modes = countGameModes(countedGames)
+
+    // Games left out of the statistics, excluded ones are listed with their reasons by /api/failures
+    stats.excludedGames = games.filter(gameData => gameData.excluded).length
+    stats.duplicateCopies = games.length - countedGames.length - stats.excludedGames
+    stats.failedGames = getReplayFailures(dir).length
+
+    // Replace the milestone and hotkey totals with averages
+    Object.values(stats.playerStats).forEach(playerStat => {
+        Object.values(playerStat.races).forEach(raceStat => {
+            raceStat.milestones = getAverageMilestones(raceStat.milestones)
+        })
+
+        const hotkeys = playerStat.hotkeys
+        playerStat.hotkeys = {
+            games: hotkeys.games,
+            groupsUsed: parseFloat((hotkeys.groupsUsed / hotkeys.games).toFixed(1)),
+            usageRatio: parseFloat((hotkeys.usageRatio / hotkeys.games).toFixed(3)),
+            selectsPerMinute: parseFloat((hotkeys.selectsPerMinute / hotkeys.games).toFixed(1)),
+            groups: hotkeys.groups.map(used => parseFloat((used / hotkeys.games).toFixed(1)))
+        }
+    })
+    
+    return stats
+}
+
+// Number of leading buildings that make up a build opener
+const OPENER_BUILDINGS = 3
+
+// Function to get the entries of an `order` map sorted by time
+function getOrderedEntries(section) {
+    if (!section || !section.order) return []
+
+    return Object.entries(section.order)
+        .map(([time, name]) => ({ time: parseInt(time, 10), name }))
+        .sort((a, b) => a.time - b.time)
+}
+
+// Function to aggregate every game of a player into a profile
+function generatePlayerProfile(dir, playerName, mode = null) {
+    const profile = {
+        name: playerName,
+        totalGames: 0,
+        wins: 0,
+        losses: 0,
+        averageDuration: 0,
+        averageApm: 0,
+        phaseApm: {},
+        races: {},
+        games: [],
+        openers: [],
+        firstHeroes: [],
+        items: []
+    }
+    const openers = {}
+    const firstHeroes = {}
+    const items = {}
+    const phaseTotals = {}
+    let totalDuration = 0
+    let totalApm = 0
+
+    getStatsGames(dir, mode).forEach(gameData => {
+        if (!gameData.teams || !Array.isArray(gameData.teams)) return
+        const result = resolveGameResult(gameData)
+
+        gameData.teams.forEach(team => {
+            if (team === null || typeof team !== 'object') return
+
+            Object.values(team).forEach(player => {
+                if (!player || player.actions <= 0 || normalizePlayerName(player.name) !== playerName) return
+
+                const playerResult = getPlayerResult(result, player)
+                const won = playerResult === 'win'
+                const race = player.race_detected || player.race
+                const duration = gameData.header ? gameData.header.length : 0
+                const heroOrder = getOrderedEntries(player.heroes)
+                const w3gPath = path.join(replayDir, gameData.path)
+
+                if (!profile.races[race]) {
+                    profile.races[race] = { wins: 0, losses: 0 }
+                }
+
+                profile.totalGames++
+                if (won) {
+                    profile.wins++
+                    profile.races[race].wins++
+                } else if (playerResult === 'loss') {
+                    profile.losses++
+                    profile.races[race].losses++
+                }
+
+                totalDuration += duration
+                totalApm += player.apm || 0
+
+                // APM by game phase, averaged over the games that reached each phase
+                Object.entries(getPhaseApm(player)).forEach(([phase, apm]) => {
+                    if (!phaseTotals[phase]) {
+                        phaseTotals[phase] = { total: 0, games: 0 }
+                    }
+                    if (apm !== null) {
+                        phaseTotals[phase].total += apm
+                        phaseTotals[phase].games++
+                    }
+                })
+
+                profile.games.push({
+                    name: path.basename(gameData.path),
+                    path: gameData.path,
+                    size: fs.existsSync(w3gPath) ? fs.statSync(w3gPath).size : 0,
+                    time: gameData.time,
+                    map: getMapName(gameData.game.map),
+                    duration: duration,
+                    matchup: gameData.matchup,
+                    playedAs: player.name,
+                    race: race,
+                    result: playerResult,
+                    apm: Math.round(player.apm || 0),
+                    winRate: getWinRate(profile.wins, profile.losses)
+                })
+
+                // Opener - the first buildings placed in the game
+                const buildOrder = getOrderedEntries(player.buildings).slice(0, OPENER_BUILDINGS)
+                if (buildOrder.length > 0) {
+                    const opener = `${race}: ${buildOrder.map(entry => entry.name).join(' → ')}`
+                    if (!openers[opener]) {
+                        openers[opener] = { opener, games: 0, wins: 0 }
+                    }
+                    openers[opener].games++
+                    if (won) openers[opener].wins++
+                }
+
+                // First hero pick
+                if (heroOrder.length > 0) {
+                    const hero = heroOrder[0].name
+                    if (!firstHeroes[hero]) {
+                        firstHeroes[hero] = { hero, games: 0, wins: 0 }
+                    }
+                    firstHeroes[hero].games++
+                    if (won) firstHeroes[hero].wins++
+                }
+
+                // Item usage
+                if (player.items) {
+                    Object.entries(player.items).forEach(([item, count]) => {
+                        if (item === 'order' || typeof count !== 'number') return
+                        if (!items[item]) {
+                            items[item] = { item, count: 0, games: 0 }
+                        }
+                        items[item].count += count
+                        items[item].games++
+                    })
+                }
+            })
         })
+    })
+
+    if (profile.totalGames > 0) {
+        profile.averageDuration = Math.round(totalDuration / profile.totalGames)
+        profile.averageApm = Math.round(totalApm / profile.totalGames)
     }
-})
 
-// Function to generate dashboard statistics
-function generateDashboardStats(dir) {
+    GAME_PHASES.forEach(phase => {
+        const entry = phaseTotals[phase.name]
+        profile.phaseApm[phase.name] = entry && entry.games > 0 ? Math.round(entry.total / entry.games) : null
+    })
+
+    profile.openers = Object.values(openers).sort((a, b) => b.games - a.games)
+    profile.firstHeroes = Object.values(firstHeroes)
+        .map(hero => ({
+            ...hero,
+            pickRate: parseFloat(((hero.games / profile.totalGames) * 100).toFixed(1))
+        }))
+        .sort((a, b) => b.games - a.games)
+    profile.items = Object.values(items).sort((a, b) => b.count - a.count)
+
+    return profile
+}
+
+// Number of leading skill picks that identify a skill build
+const SKILL_BUILD_LEVELS = 3
+
+// Function to get the skills a hero learned in order - every pick is one hero level
+function getSkillBuild(hero) {
+    return getOrderedEntries(hero.abilities).map((entry, index) => ({
+        level: index + 1,
+        time: entry.time,
+        ability: entry.name
+    }))
+}
+
+// Function to aggregate every game a hero was played in into skill build statistics
+function generateHeroStats(dir, heroName, mode = null) {
     const stats = {
-        totalGames: 0,
-        playerStats: {}
+        hero: heroName,
+        games: 0,
+        wins: 0,
+        averageLevel: 0,
+        averageRevivals: 0,
+        builds: [],
+        levels: [],
+        players: []
     }
-    
-    function processDirectory(currentDir) {
-        try {
-            const items = fs.readdirSync(currentDir)
-            
-            for (const item of items) {
-                const fullPath = path.join(currentDir, item)
-                const stat = fs.statSync(fullPath)
-                
-                if (stat.isDirectory()) {
-                    processDirectory(fullPath)
-                } else if (item.toLowerCase().endsWith('.w3g_analysis.json')) {
-                    try {
-                        const jsonData = JSON.parse(fs.readFileSync(fullPath, 'utf8'))
-                        processGameData(jsonData, stats)
-                        stats.totalGames++
-                    } catch (parseError) {
-                        console.warn(`Failed to parse ${fullPath}:`, parseError.message)
-                    }
+    const builds = {}
+    const levels = {}
+    const players = {}
+    let totalLevel = 0
+    let totalRevivals = 0
+
+    getStatsGames(dir, mode).forEach(gameData => {
+        getGamePlayers(gameData).forEach(player => {
+            if (!player.heroes) return
+
+            const name = Object.keys(player.heroes)
+                .find(hero => hero !== 'order' && hero.toLowerCase() === heroName.toLowerCase())
+            if (!name) return
+
+            const hero = player.heroes[name]
+            const won = getPlayerResult(resolveGameResult(gameData), player) === 'win'
+            const skillBuild = getSkillBuild(hero)
+            const playerName = normalizePlayerName(player.name)
+
+            stats.hero = name
+            stats.games++
+            if (won) stats.wins++
+            totalLevel += hero.level || 1
+            totalRevivals += hero.revivals || 0
+
+            // Most common skill builds, identified by their first picks
+            if (skillBuild.length > 0) {
+                const build = skillBuild.slice(0, SKILL_BUILD_LEVELS).map(pick => pick.ability)
+                const key = build.join(' > ')
+                if (!builds[key]) {
+                    builds[key] = { build, games: 0, wins: 0 }
                 }
+                builds[key].games++
+                if (won) builds[key].wins++
             }
-        } catch (error) {
-            console.error(`Error processing directory ${currentDir}:`, error.message)
-        }
+
+            // Level progression - when each level is reached on average
+            skillBuild.forEach(pick => {
+                if (!levels[pick.level]) {
+                    levels[pick.level] = { level: pick.level, games: 0, totalTime: 0 }
+                }
+                levels[pick.level].games++
+                levels[pick.level].totalTime += pick.time
+            })
+
+            if (!players[playerName]) {
+                players[playerName] = { name: playerName, games: 0, wins: 0 }
+            }
+            players[playerName].games++
+            if (won) players[playerName].wins++
+        })
+    })
+
+    if (stats.games > 0) {
+        stats.averageLevel = parseFloat((totalLevel / stats.games).toFixed(1))
+        stats.averageRevivals = parseFloat((totalRevivals / stats.games).toFixed(1))
     }
-    
-    processDirectory(dir)
-    
+
+    stats.builds = Object.values(builds)
+        .map(build => ({
+            ...build,
+            winRate: parseFloat(((build.wins / build.games) * 100).toFixed(1))
+        }))
+        .sort((a, b) => b.games - a.games)
+    stats.levels = Object.values(levels)
+        .map(level => ({
+            level: level.level,
+            games: level.games,
+            averageTime: Math.round(level.totalTime / level.games)
+        }))
+        .sort((a, b) => a.level - b.level)
+    stats.players = Object.values(players).sort((a, b) => b.games - a.games)
+
     return stats
 }
 
+// Function to generate head-to-head and teammate statistics for every player pair
+function generatePairwiseStats(dir) {
+    const pairwise = {
+        versus: {},
+        partners: {}
+    }
+
+    getStatsGames(dir).forEach(gameData => {
+        processPairwiseData(gameData, pairwise)
+    })
+
+    return pairwise
+}
+
+function processPairwiseData(gameData, pairwise) {
+    if (!gameData.teams || !Array.isArray(gameData.teams)) return
+
+    // Draws and games without a known winner don't count towards the records
+    const result = resolveGameResult(gameData)
+    if (result.outcome !== 'win') return
+
+    const winnerTeam = result.winnerTeam
+    const players = getGameParticipants(gameData).map(player => ({
+        name: getStatsPlayerName(player),
+        team: player.team,
+        race: player.race_detected || player.race
+    }))
+
+    players.forEach(player => {
+        const isWinner = player.team === winnerTeam
+
+        players.forEach(other => {
+            if (other === player || other.name === player.name) return
+
+            if (other.team === player.team) {
+                // Teammate record
+                if (!pairwise.partners[player.name]) {
+                    pairwise.partners[player.name] = {}
+                }
+                if (!pairwise.partners[player.name][other.name]) {
+                    pairwise.partners[player.name][other.name] = { wins: 0, losses: 0 }
+                }
+
+                const record = pairwise.partners[player.name][other.name]
+                if (isWinner) {
+                    record.wins++
+                } else {
+                    record.losses++
+                }
+            } else {
+                // Head-to-head record, with a breakdown by race matchup
+                if (!pairwise.versus[player.name]) {
+                    pairwise.versus[player.name] = {}
+                }
+                if (!pairwise.versus[player.name][other.name]) {
+                    pairwise.versus[player.name][other.name] = { wins: 0, losses: 0, matchups: {} }
+                }
+
+                const record = pairwise.versus[player.name][other.name]
+                const matchup = `${player.race} vs ${other.race}`
+                if (!record.matchups[matchup]) {
+                    record.matchups[matchup] = { wins: 0, losses: 0 }
+                }
+
+                if (isWinner) {
+                    record.wins++
+                    record.matchups[matchup].wins++
+                } else {
+                    record.losses++
+                    record.matchups[matchup].losses++
+                }
+            }
+        })
+    })
+}
+
 function processGameData(gameData, stats) {
     if (!gameData.teams || !Array.isArray(gameData.teams)) return
     
-    const winnerTeam = gameData.game.winner_team
+    const result = resolveGameResult(gameData)
     
+    getGameParticipants(gameData).forEach(player => {
+        const playerName = getStatsPlayerName(player)  // Normalized name, or the AI pseudo-player
+        const playerResult = getPlayerResult(result, player)
+        const race = player.race_detected || player.race
+
+        // Initialize player stats with minimal structure
+        if (!stats.playerStats[playerName]) {
+            stats.playerStats[playerName] = {
+                computer: Boolean(player.computer),
+                games: 0,
+                wins: 0,
+                losses: 0,
+                races: {},
+                heroes: {},
+                hotkeys: {
+                    games: 0,
+                    groupsUsed: 0,
+                    usageRatio: 0,
+                    selectsPerMinute: 0,
+                    groups: new Array(CONTROL_GROUPS).fill(0)
+                }
+            }
+        }
+
+        const playerStat = stats.playerStats[playerName]
+        playerStat.games++
+
+        if (playerResult === 'win') {
+            playerStat.wins++
+        } else if (playerResult === 'loss') {
+            playerStat.losses++
+        }
+
+        // Race statistics - wins, losses and milestone timings
+        if (!playerStat.races[race]) {
+            playerStat.races[race] = {
+                wins: 0,
+                losses: 0,
+                milestones: {}
+            }
+        }
+
+        if (playerResult === 'win') {
+            playerStat.races[race].wins++
+        } else if (playerResult === 'loss') {
+            playerStat.races[race].losses++
+        }
+
+        // Computer players take no actions, only their record is kept
+        if (player.computer) return
+
+        addMilestoneTotals(playerStat.races[race].milestones, getPlayerMilestones(player))
+
+        // Hotkey habits - summed here, averaged per game once every game is processed
+        const hotkeyUsage = getHotkeyUsage(player, gameData.header ? gameData.header.length : 0)
+        playerStat.hotkeys.games++
+        playerStat.hotkeys.groupsUsed += hotkeyUsage.groupsUsed
+        playerStat.hotkeys.usageRatio += hotkeyUsage.usageRatio
+        playerStat.hotkeys.selectsPerMinute += hotkeyUsage.selectsPerMinute
+        hotkeyUsage.groups.forEach(group => {
+            playerStat.hotkeys.groups[group.group] += group.used
+        })
+
+        // Hero statistics - organized by race
+        if (player.heroes) {
+            // Initialize heroes object for this race if it doesn't exist
+            if (!playerStat.heroes[race]) {
+                playerStat.heroes[race] = {}
+            }
+
+            Object.keys(player.heroes).forEach(heroName => {
+                if (heroName !== 'order') {
+                    // Count hero usage for this specific race
+                    if (!playerStat.heroes[race][heroName]) {
+                        playerStat.heroes[race][heroName] = 0
+                    }
+                    playerStat.heroes[race][heroName]++
+                }
+            })
+        }
+    })
+}
+
+// Rating settings - Elo is used for 1v1 games, TrueSkill for team games
+const ELO_INITIAL_RATING = 1500
+const ELO_K_FACTOR = 32
+const TRUESKILL_MU = 25
+const TRUESKILL_SIGMA = TRUESKILL_MU / 3
+const TRUESKILL_BETA = TRUESKILL_SIGMA / 2
+const TRUESKILL_TAU = TRUESKILL_SIGMA / 100
+
+// Function to get the time a replay was recorded
+// Saved replays are named like Replay_YYYY_MM_DD_HHMM.w3g, otherwise the file time is used
+function getReplayTimestamp(w3gFilePath) {
+    const match = /(\d{4})_(\d{2})_(\d{2})_(\d{2})(\d{2})/.exec(path.basename(w3gFilePath))
+
+    if (match) {
+        const [, year, month, day, hour, minute] = match.map(Number)
+        return new Date(year, month - 1, day, hour, minute).getTime()
+    }
+
+    const statPath = fs.existsSync(w3gFilePath)
+        ? w3gFilePath
+        : getAnalysisPath(w3gFilePath)
+    return fs.statSync(statPath).mtime.getTime()
+}
+
+// Function to get the active players of a game
+function getGamePlayers(gameData) {
+    const players = []
+
+    if (!gameData.teams || !Array.isArray(gameData.teams)) return players
+
     gameData.teams.forEach(team => {
         if (team !== null && typeof team === 'object') {
             Object.values(team).forEach(player => {
                 if (player && player.actions > 0) {
-                    const originalPlayerName = player.name
-                    const playerName = normalizePlayerName(originalPlayerName)  // Use normalized name
-                    const isWinner = player.team === winnerTeam
-                    const race = player.race_detected || player.race
-                    
-                    // Initialize player stats with minimal structure
-                    if (!stats.playerStats[playerName]) {
-                        stats.playerStats[playerName] = {
-                            wins: 0,
-                            losses: 0,
-                            races: {},
-                            heroes: {}
-                        }
-                    }
-                    
-                    const playerStat = stats.playerStats[playerName]
-                    
-                    if (isWinner) {
-                        playerStat.wins++
-                    } else {
-                        playerStat.losses++
-                    }
-                    
-                    // Race statistics - only wins and losses
-                    if (!playerStat.races[race]) {
-                        playerStat.races[race] = {
-                            wins: 0,
-                            losses: 0
-                        }
-                    }
-                    
-                    if (isWinner) {
-                        playerStat.races[race].wins++
-                    } else {
-                        playerStat.races[race].losses++
-                    }
-                    
-                    // Hero statistics - organized by race
-                    if (player.heroes) {
-                        // Initialize heroes object for this race if it doesn't exist
-                        if (!playerStat.heroes[race]) {
-                            playerStat.heroes[race] = {}
-                        }
-                        
-                        Object.keys(player.heroes).forEach(heroName => {
-                            if (heroName !== 'order') {
-                                // Count hero usage for this specific race
-                                if (!playerStat.heroes[race][heroName]) {
-                                    playerStat.heroes[race][heroName] = 0
-                                }
-                                playerStat.heroes[race][heroName]++
-                            }
-                        })
-                    }
+                    players.push(player)
                 }
             })
         }
     })
+
+    return players
 }
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`)
-    console.log('Browse and select .w3g files from the replay folder')
-    
-    // Convert all W3G files to JSON on startup
-    const replayDir = path.join(__dirname, 'replay')
-    if (fs.existsSync(replayDir)) {
-        console.log('Converting existing W3G files to JSON...')
-        convertAllW3GInDirectory(replayDir)
-    } else {
-        console.log('Replay directory not found, creating it...')
-        fs.mkdirSync(replayDir, { recursive: true })
+// Minimum habit similarity for two identities to be suggested as aliases
+const ALIAS_SUGGESTION_THRESHOLD = 0.6
+
+// Function to compute the cosine similarity of two count maps
+function getCountSimilarity(countsA, countsB) {
+    let dot = 0
+    let normA = 0
+    let normB = 0
+
+    Object.entries(countsA).forEach(([key, value]) => {
+        normA += value * value
+        dot += value * (countsB[key] || 0)
+    })
+    Object.values(countsB).forEach(value => {
+        normB += value * value
+    })
+
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+// Function to suggest aliases - identities that never play in the same game
+// but share race and hero habits are likely the same person
+function suggestPlayerAliases(dir) {
+    const identities = {}
+
+    syncReplayIndex(dir).forEach(gameData => {
+        getGamePlayers(gameData).forEach(player => {
+            const name = normalizePlayerName(player.name)
+            const race = player.race_detected || player.race
+
+            if (!identities[name]) {
+                identities[name] = { name, games: new Set(), races: {}, heroes: {} }
+            }
+
+            const identity = identities[name]
+            identity.games.add(gameData.path)
+            identity.races[race] = (identity.races[race] || 0) + 1
+            Object.keys(player.heroes || {}).forEach(hero => {
+                if (hero !== 'order') {
+                    identity.heroes[hero] = (identity.heroes[hero] || 0) + 1
+                }
+            })
+        })
+    })
+
+    const suggestions = []
+    const list = Object.values(identities)
+
+    list.forEach((a, indexA) => {
+        list.slice(indexA + 1).forEach(b => {
+            const coOccur = [...a.games].some(game => b.games.has(game))
+            if (coOccur) return
+
+            const raceSimilarity = getCountSimilarity(a.races, b.races)
+            const heroSimilarity = getCountSimilarity(a.heroes, b.heroes)
+            const score = (raceSimilarity + heroSimilarity) / 2
+
+            if (score >= ALIAS_SUGGESTION_THRESHOLD) {
+                // Suggest merging the less active identity into the more active one
+                const [alias, player] = a.games.size < b.games.size ? [a, b] : [b, a]
+                suggestions.push({
+                    alias: alias.name,
+                    player: player.name,
+                    score: Math.round(score * 100) / 100,
+                    raceSimilarity: Math.round(raceSimilarity * 100) / 100,
+                    heroSimilarity: Math.round(heroSimilarity * 100) / 100,
+                    aliasGames: alias.games.size,
+                    playerGames: player.games.size
+                })
+            }
+        })
+    })
+
+    return suggestions.sort((a, b) => b.score - a.score)
+}
+
+// Function to group the active players of a game by team, using normalized names
+function getGameTeams(gameData) {
+    const teams = {}
+
+    getGameParticipants(gameData).forEach(player => {
+        if (!teams[player.team]) {
+            teams[player.team] = []
+        }
+        teams[player.team].push(getStatsPlayerName(player))
+    })
+
+    return teams
+}
+
+// Standard normal density and cumulative distribution used by TrueSkill
+function normalPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI)
+}
+
+function normalCdf(x) {
+    // Abramowitz and Stegun approximation of the error function
+    const z = Math.abs(x) / Math.SQRT2
+    const t = 1 / (1 + 0.3275911 * z)
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z)
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// Function to update Elo ratings after a 1v1 game
+function updateEloRatings(winner, loser) {
+    const expected = 1 / (1 + Math.pow(10, (loser.rating - winner.rating) / 400))
+    const delta = ELO_K_FACTOR * (1 - expected)
+
+    winner.rating += delta
+    loser.rating -= delta
+}
+
+// Function to update TrueSkill ratings after a game between two teams
+function updateTrueSkillRatings(winners, losers) {
+    const players = winners.concat(losers)
+
+    // Add dynamics noise so ratings can keep moving over time
+    players.forEach(player => {
+        player.sigma = Math.sqrt(player.sigma * player.sigma + TRUESKILL_TAU * TRUESKILL_TAU)
+    })
+
+    const c = Math.sqrt(players.reduce(
+        (sum, player) => sum + player.sigma * player.sigma + TRUESKILL_BETA * TRUESKILL_BETA,
+        0
+    ))
+    const winnerMu = winners.reduce((sum, player) => sum + player.mu, 0)
+    const loserMu = losers.reduce((sum, player) => sum + player.mu, 0)
+    const t = (winnerMu - loserMu) / c
+    const v = normalPdf(t) / Math.max(normalCdf(t), 1e-10)
+    const w = v * (v + t)
+
+    players.forEach(player => {
+        const sign = winners.includes(player) ? 1 : -1
+        const variance = player.sigma * player.sigma
+
+        player.mu += sign * (variance / c) * v
+        player.sigma = Math.sqrt(variance * Math.max(1 - (variance / (c * c)) * w, 1e-4))
+        player.rating = player.mu - 3 * player.sigma
+    })
+}
+
+// Function to replay every game in chronological order and calculate player ratings
+function calculateRatings(dir, mode = null) {
+    const ratings = {
+        ratedGames: 0,
+        players: {}
+    }
+
+    function getPlayerRating(playerName) {
+        if (!ratings.players[playerName]) {
+            ratings.players[playerName] = {
+                elo: {
+                    rating: ELO_INITIAL_RATING,
+                    games: 0,
+                    history: []
+                },
+                trueskill: {
+                    mu: TRUESKILL_MU,
+                    sigma: TRUESKILL_SIGMA,
+                    rating: TRUESKILL_MU - 3 * TRUESKILL_SIGMA,
+                    games: 0,
+                    history: []
+                }
+            }
+        }
+        return ratings.players[playerName]
     }
+
+    getStatsGames(dir, mode).forEach(game => {
+        const result = resolveGameResult(game)
+        const winnerTeam = result.winnerTeam
+        const teams = getGameTeams(game)
+        const teamIds = Object.keys(teams)
+
+        // Only games between exactly two teams with a known winner can be rated
+        if (result.outcome !== 'win' || teamIds.length !== 2 || !teams[winnerTeam]) return
+
+        const winners = teams[winnerTeam]
+        const losers = teams[teamIds.find(teamId => Number(teamId) !== winnerTeam)]
+        const system = winners.length === 1 && losers.length === 1 ? 'elo' : 'trueskill'
+
+        const winnerRatings = winners.map(name => getPlayerRating(name)[system])
+        const loserRatings = losers.map(name => getPlayerRating(name)[system])
+
+        if (system === 'elo') {
+            updateEloRatings(winnerRatings[0], loserRatings[0])
+        } else {
+            updateTrueSkillRatings(winnerRatings, loserRatings)
+        }
+
+        winnerRatings.concat(loserRatings).forEach(rating => {
+            rating.games++
+            rating.history.push({
+                time: game.time,
+                path: game.path,
+                rating: Math.round(rating.rating * 10) / 10
+            })
+        })
+
+        ratings.ratedGames++
+    })
+
+    return ratings
+}
+
+// API endpoint to stream live notifications (Server-Sent Events) to open browser tabs
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    })
+    res.flushHeaders()
+    res.write('retry: 5000\n\n')
+
+    eventClients.add(res)
+    req.on('close', () => {
+        eventClients.delete(res)
+    })
 })
+
+// Replay Watcher - converts new or modified replays as soon as they are saved
+// The game writes replays in several chunks, so a file is only converted once its size
+// has stopped changing for WATCH_DEBOUNCE_MS
+const WATCH_DEBOUNCE_MS = 2000
+const EVENT_HEARTBEAT_MS = 30000
+const LAST_REPLAY_NAME = 'lastreplay.w3g'
+const pendingReplays = new Map()
+const eventClients = new Set()
+
+// Function to send an event to every connected browser tab
+function broadcastEvent(type, data) {
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+    eventClients.forEach(client => client.write(message))
+}
+
+// Keep idle event streams from being closed by proxies
+setInterval(() => {
+    eventClients.forEach(client => client.write(': ping\n\n'))
+}, EVENT_HEARTBEAT_MS).unref()
+
+// Function to get the dated name LastReplay.w3g is archived under, e.g. Replay_2025_07_18_1755.w3g
+function getArchivedReplayPath(lastReplayPath) {
+    const mtime = fs.statSync(lastReplayPath).mtime
+    return path.join(path.dirname(lastReplayPath), `Replay_${formatReplayTimestamp(mtime)}.w3g`)
+}
+
+// Function to convert a finished replay and notify open browser tabs
+function ingestReplay(w3gFilePath) {
+    let replayPath = w3gFilePath
+
+    // The game overwrites LastReplay.w3g after every match, so keep a dated copy of it
+    if (path.basename(w3gFilePath).toLowerCase() === LAST_REPLAY_NAME) {
+        replayPath = getArchivedReplayPath(w3gFilePath)
+        if (fs.existsSync(replayPath)) return
+
+        fs.copyFileSync(w3gFilePath, replayPath)
+        logger.log(`📥 Archived ${path.basename(w3gFilePath)} as ${path.basename(replayPath)}`)
+    }
+
+    // Uploaded replays are written below the watched folder while their upload job converts them
+    if (isAnalysisUpToDate(replayPath) || getReplayFailure(replayPath)) return
+
+    queueReplayConversion(replayPath, { onConverted: announceReplay })
+}
+
+// Function to tell connected browsers about a new replay that is ready to be viewed
+function announceReplay(w3gFilePath) {
+    broadcastEvent('replay', {
+        name: path.basename(w3gFilePath),
+        path: getReplayRelativePath(w3gFilePath)
+    })
+}
+
+// Function to check a pending replay and ingest it once it is no longer being written
+function checkPendingReplay(w3gFilePath) {
+    const pending = pendingReplays.get(w3gFilePath)
+
+    if (!fs.existsSync(w3gFilePath)) {
+        pendingReplays.delete(w3gFilePath)
+        return
+    }
+
+    const size = fs.statSync(w3gFilePath).size
+    if (size !== pending.size) {
+        pending.size = size
+        pending.timer = setTimeout(() => checkPendingReplay(w3gFilePath), WATCH_DEBOUNCE_MS)
+        return
+    }
+
+    pendingReplays.delete(w3gFilePath)
+
+    try {
+        ingestReplay(w3gFilePath)
+    } catch (error) {
+        logger.error(`Failed to ingest ${path.basename(w3gFilePath)}:`, error.message)
+    }
+}
+
+// Function to (re)schedule a replay for ingestion after it was created or modified
+function scheduleReplayIngest(w3gFilePath) {
+    const pending = pendingReplays.get(w3gFilePath)
+    if (pending) {
+        clearTimeout(pending.timer)
+    }
+
+    pendingReplays.set(w3gFilePath, {
+        size: fs.existsSync(w3gFilePath) ? fs.statSync(w3gFilePath).size : -1,
+        timer: setTimeout(() => checkPendingReplay(w3gFilePath), WATCH_DEBOUNCE_MS)
+    })
+}
+
+// Function to watch the replay tree for new or modified .w3g files
+function startReplayWatcher(dir) {
+    try {
+        const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+            if (filename && /\.w3[xm]$/i.test(filename.toString())) mapFileCache.clear()
+            if (!filename || !filename.toString().toLowerCase().endsWith('.w3g')) return
+            scheduleReplayIngest(path.join(dir, filename.toString()))
+        })
+
+        watcher.on('error', error => {
+            logger.error('Replay watcher error:', error.message)
+        })
+
+        logger.log(`👀 Watching ${dir} for new replays`)
+    } catch (error) {
+        logger.error('Failed to start replay watcher:', error.message)
+    }
+}
+
+// Start the server, or with `npm run migrate-cache` rewrite the analysis caches in the current format and exit
+// Nothing is started when the file is required as a library, e.g. by the command-line interface in cli.js
+if (require.main === module) {
+    if (process.argv.includes('--migrate-cache')) {
+        migrateAnalysisCaches(replayDir)
+    } else {
+        app.listen(PORT, () => {
+            logger.log(`Server running at http://localhost:${PORT}`)
+            logger.log('Browse and select .w3g files from the replay folder')
+            
+            // Convert all W3G files to JSON on startup
+            if (fs.existsSync(replayDir)) {
+                logger.log('Converting existing W3G files to JSON...')
+                createConversionJob(findReplayFiles(replayDir))
+            } else {
+                logger.log('Replay directory not found, creating it...')
+                fs.mkdirSync(replayDir, { recursive: true })
+            }
+
+            startReplayWatcher(replayDir)
+        })
+    }
+}
+
+module.exports = {
+    GAME_MODES,
+    DEFAULT_REPLAY_DIR,
+    setLogger,
+    setReplayDir,
+    isInsideDirectory,
+    getGameMode,
+    getExclusionReason,
+    inferGameResult,
+    convertAllW3GInDirectory,
+    convertW3GToJSON,
+    migrateAnalysisCaches,
+    getAnalysisPath,
+    getPreviewData,
+    getReplayFailures,
+    getReplayRelativePath,
+    syncReplayIndex,
+    getGameParticipants,
+    getStatsPlayerName,
+    getDuplicateMatches,
+    resolveGameResult,
+    getPlayerResult,
+    getWinRate,
+    getMapName,
+    formatDuration,
+    formatDateTime,
+    normalizePlayerName,
+    generateDashboardStats,
+    generatePlayerProfile
+}
@@ -0,0 +1,593 @@
+const fs = require('fs')
+const zlib = require('zlib')
+
+// Map Previews - .w3x maps are MPQ archives holding a minimap (war3mapMap.blp) and
+// optionally a custom preview image (war3mapPreview.tga), decoded here and served as PNG
+const MPQ_SIGNATURE = 0x1a51504d
+const MPQ_FILE_COMPRESSED = 0x00000200
+const MPQ_FILE_ENCRYPTED = 0x00010000
+const MPQ_FILE_FIX_KEY = 0x00020000
+const MPQ_FILE_SINGLE_UNIT = 0x01000000
+const MPQ_FILE_EXISTS = 0x80000000
+const MPQ_COMPRESSION_ZLIB = 0x02
+const MAP_PREVIEW_FILES = ['war3mapPreview.tga', 'war3mapMap.blp']
+
+// Encryption table shared by every MPQ hash and decryption
+const MPQ_CRYPT_TABLE = (() => {
+    const table = new Uint32Array(0x500)
+    let seed = 0x00100001
+
+    for (let index1 = 0; index1 < 0x100; index1++) {
+        for (let index2 = index1, i = 0; i < 5; i++, index2 += 0x100) {
+            seed = (seed * 125 + 3) % 0x2aaaab
+            const high = (seed & 0xffff) << 16
+            seed = (seed * 125 + 3) % 0x2aaaab
+            table[index2] = (high | (seed & 0xffff)) >>> 0
+        }
+    }
+
+    return table
+})()
+
+// Function to hash a file name, hashType selects the table offset, index, name check or key
+function hashMpqString(str, hashType) {
+    let seed1 = 0x7fed7fed
+    let seed2 = 0xeeeeeeee
+
+    for (const char of str.toUpperCase()) {
+        const code = char.charCodeAt(0)
+        seed1 = (MPQ_CRYPT_TABLE[hashType * 0x100 + code] ^ ((seed1 + seed2) >>> 0)) >>> 0
+        seed2 = (code + seed1 + seed2 + (seed2 << 5) + 3) >>> 0
+    }
+
+    return seed1
+}
+
+// Function to decrypt a buffer of 32-bit words in place
+function decryptMpqBlock(buffer, key) {
+    let seed = 0xeeeeeeee
+
+    for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+        seed = (seed + MPQ_CRYPT_TABLE[0x400 + (key & 0xff)]) >>> 0
+        const value = (buffer.readUInt32LE(offset) ^ ((key + seed) >>> 0)) >>> 0
+        buffer.writeUInt32LE(value, offset)
+        key = ((((~key << 0x15) >>> 0) + 0x11111111) >>> 0 | (key >>> 0x0b)) >>> 0
+        seed = (value + seed + (seed << 5) + 3) >>> 0
+    }
+
+    return buffer
+}
+
+// Function to decompress one MPQ sector, only zlib is supported
+function decompressMpqSector(sector) {
+    if (sector[0] !== MPQ_COMPRESSION_ZLIB) {
+        throw new Error(`Unsupported MPQ compression 0x${sector[0].toString(16)}`)
+    }
+
+    return zlib.inflateSync(sector.subarray(1))
+}
+
+// Function to read a file from an MPQ archive, returns null if the archive doesn't contain it
+function readMpqFile(buffer, fileName) {
+    let archiveOffset = 0
+
+    // The archive header is aligned to 512 bytes, .w3x files start with a 512 byte map header
+    while (archiveOffset + 32 <= buffer.length && buffer.readUInt32LE(archiveOffset) !== MPQ_SIGNATURE) {
+        archiveOffset += 0x200
+    }
+    if (archiveOffset + 32 > buffer.length) return null
+
+    const sectorSize = 0x200 << buffer.readUInt16LE(archiveOffset + 0x0e)
+    const hashTableOffset = archiveOffset + buffer.readUInt32LE(archiveOffset + 0x10)
+    const blockTableOffset = archiveOffset + buffer.readUInt32LE(archiveOffset + 0x14)
+    const hashTableEntries = buffer.readUInt32LE(archiveOffset + 0x18)
+    const blockTableEntries = buffer.readUInt32LE(archiveOffset + 0x1c)
+
+    const hashTable = decryptMpqBlock(
+        Buffer.from(buffer.subarray(hashTableOffset, hashTableOffset + hashTableEntries * 16)),
+        hashMpqString('(hash table)', 3)
+    )
+    const blockTable = decryptMpqBlock(
+        Buffer.from(buffer.subarray(blockTableOffset, blockTableOffset + blockTableEntries * 16)),
+        hashMpqString('(block table)', 3)
+    )
+
+    // Find the block of the file through the hash table
+    const nameA = hashMpqString(fileName, 1)
+    const nameB = hashMpqString(fileName, 2)
+    let blockIndex = null
+
+    for (let i = 0, entry = hashMpqString(fileName, 0) % hashTableEntries; i < hashTableEntries; i++) {
+        const offset = entry * 16
+        const block = hashTable.readUInt32LE(offset + 12)
+
+        if (block === 0xffffffff) break
+        if (hashTable.readUInt32LE(offset) === nameA && hashTable.readUInt32LE(offset + 4) === nameB && block < blockTableEntries) {
+            blockIndex = block
+            break
+        }
+
+        entry = (entry + 1) % hashTableEntries
+    }
+    if (blockIndex === null) return null
+
+    const blockOffset = archiveOffset + blockTable.readUInt32LE(blockIndex * 16)
+    const compressedSize = blockTable.readUInt32LE(blockIndex * 16 + 4)
+    const fileSize = blockTable.readUInt32LE(blockIndex * 16 + 8)
+    const flags = blockTable.readUInt32LE(blockIndex * 16 + 12)
+
+    if (!(flags & MPQ_FILE_EXISTS)) return null
+
+    const data = Buffer.from(buffer.subarray(blockOffset, blockOffset + compressedSize))
+    let key = 0
+    if (flags & MPQ_FILE_ENCRYPTED) {
+        key = hashMpqString(fileName.split('\\').pop(), 3)
+        if (flags & MPQ_FILE_FIX_KEY) {
+            key = ((key + blockOffset - archiveOffset) ^ fileSize) >>> 0
+        }
+    }
+
+    if (flags & MPQ_FILE_SINGLE_UNIT) {
+        if (flags & MPQ_FILE_ENCRYPTED) decryptMpqBlock(data, key)
+        return (flags & MPQ_FILE_COMPRESSED) && compressedSize < fileSize ? decompressMpqSector(data) : data
+    }
+
+    // Multi-sector files start with a table of sector offsets
+    const sectorCount = Math.ceil(fileSize / sectorSize)
+    if (!(flags & MPQ_FILE_COMPRESSED)) {
+        if (flags & MPQ_FILE_ENCRYPTED) {
+            for (let i = 0; i < sectorCount; i++) {
+                decryptMpqBlock(data.subarray(i * sectorSize, (i + 1) * sectorSize), (key + i) >>> 0)
+            }
+        }
+        return data.subarray(0, fileSize)
+    }
+
+    const sectorTable = data.subarray(0, (sectorCount + 1) * 4)
+    if (flags & MPQ_FILE_ENCRYPTED) decryptMpqBlock(sectorTable, (key - 1) >>> 0)
+
+    const sectors = []
+    for (let i = 0; i < sectorCount; i++) {
+        const start = sectorTable.readUInt32LE(i * 4)
+        const end = sectorTable.readUInt32LE((i + 1) * 4)
+        const expectedSize = Math.min(sectorSize, fileSize - i * sectorSize)
+        const sector = data.subarray(start, end)
+
+        if (flags & MPQ_FILE_ENCRYPTED) decryptMpqBlock(sector, (key + i) >>> 0)
+        sectors.push(sector.length < expectedSize ? decompressMpqSector(sector) : sector)
+    }
+
+    return Buffer.concat(sectors)
+}
+
+// Zigzag order of the coefficients of a JPEG block
+const JPEG_ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+]
+
+// Cosine factors of the 8x8 inverse DCT
+const JPEG_IDCT_TABLE = (() => {
+    const table = new Float64Array(64)
+    for (let x = 0; x < 8; x++) {
+        for (let u = 0; u < 8; u++) {
+            table[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2
+        }
+    }
+    return table
+})()
+
+// Function to build the lookup of a Huffman table: code length -> code -> symbol
+function buildHuffmanTable(counts, symbols) {
+    const table = new Map()
+    let code = 0
+    let index = 0
+
+    for (let length = 1; length <= 16; length++) {
+        for (let i = 0; i < counts[length - 1]; i++) {
+            table.set((length << 16) | code, symbols[index++])
+            code++
+        }
+        code <<= 1
+    }
+
+    return table
+}
+
+// Function to transform a dequantized block back to samples in place
+function inverseDct(block) {
+    const temp = new Float64Array(64)
+
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            let sum = 0
+            for (let u = 0; u < 8; u++) sum += JPEG_IDCT_TABLE[x * 8 + u] * block[y * 8 + u]
+            temp[y * 8 + x] = sum
+        }
+    }
+    for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+            let sum = 0
+            for (let v = 0; v < 8; v++) sum += JPEG_IDCT_TABLE[y * 8 + v] * temp[v * 8 + x]
+            block[y * 8 + x] = Math.min(255, Math.max(0, Math.round(sum + 128)))
+        }
+    }
+}
+
+// Function to decode a baseline JPEG into its raw component planes
+// No color transform is applied, BLP images store BGRA channels directly
+function decodeJpeg(buffer) {
+    const quantTables = []
+    const huffmanTables = {}
+    const frame = { components: [] }
+    let restartInterval = 0
+    let offset = 2
+
+    if (buffer.readUInt16BE(0) !== 0xffd8) throw new Error('Not a JPEG image')
+
+    while (offset + 4 <= buffer.length) {
+        const marker = buffer.readUInt16BE(offset)
+        const length = buffer.readUInt16BE(offset + 2)
+        const segment = buffer.subarray(offset + 4, offset + 2 + length)
+        offset += 2 + length
+
+        if (marker === 0xffdb) {
+            for (let i = 0; i < segment.length;) {
+                const precision = segment[i] >> 4
+                const table = new Int32Array(64)
+                for (let k = 0; k < 64; k++) {
+                    table[k] = precision ? segment.readUInt16BE(i + 1 + k * 2) : segment[i + 1 + k]
+                }
+                quantTables[segment[i] & 0x0f] = table
+                i += 1 + 64 * (precision ? 2 : 1)
+            }
+        } else if (marker === 0xffc4) {
+            for (let i = 0; i < segment.length;) {
+                const counts = segment.subarray(i + 1, i + 17)
+                const total = counts.reduce((sum, count) => sum + count, 0)
+                huffmanTables[segment[i]] = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total))
+                i += 17 + total
+            }
+        } else if (marker === 0xffc0 || marker === 0xffc1) {
+            frame.height = segment.readUInt16BE(1)
+            frame.width = segment.readUInt16BE(3)
+            for (let i = 0; i < segment[5]; i++) {
+                frame.components.push({
+                    id: segment[6 + i * 3],
+                    h: segment[7 + i * 3] >> 4,
+                    v: segment[7 + i * 3] & 0x0f,
+                    quant: segment[8 + i * 3]
+                })
+            }
+        } else if (marker === 0xffdd) {
+            restartInterval = segment.readUInt16BE(0)
+        } else if (marker === 0xffda) {
+            offset = decodeJpegScan(buffer, offset, segment, frame, quantTables, huffmanTables, restartInterval)
+        } else if (marker === 0xffd9) {
+            break
+        } else if (marker >= 0xffc2 && marker <= 0xffcf && marker !== 0xffc4 && marker !== 0xffc8 && marker !== 0xffcc) {
+            throw new Error('Only baseline JPEG images are supported')
+        }
+    }
+
+    return frame
+}
+
+// Function to decode the entropy-coded data of a scan, returns the offset after it
+function decodeJpegScan(buffer, offset, segment, frame, quantTables, huffmanTables, restartInterval) {
+    const maxH = Math.max(...frame.components.map(component => component.h))
+    const maxV = Math.max(...frame.components.map(component => component.v))
+    const mcusPerLine = Math.ceil(frame.width / (8 * maxH))
+    const mcusPerColumn = Math.ceil(frame.height / (8 * maxV))
+
+    frame.maxH = maxH
+    frame.maxV = maxV
+    frame.components.forEach(component => {
+        if (!component.samples) {
+            component.stride = mcusPerLine * component.h * 8
+            component.samples = new Uint8Array(component.stride * mcusPerColumn * component.v * 8)
+        }
+    })
+
+    const scanComponents = []
+    for (let i = 0; i < segment[0]; i++) {
+        const component = frame.components.find(entry => entry.id === segment[1 + i * 2])
+        component.dcTable = huffmanTables[segment[2 + i * 2] >> 4]
+        component.acTable = huffmanTables[0x10 | (segment[2 + i * 2] & 0x0f)]
+        component.predictor = 0
+        scanComponents.push(component)
+    }
+
+    let bitBuffer = 0
+    let bitCount = 0
+    const readBit = () => {
+        if (bitCount === 0) {
+            let byte = buffer[offset++]
+            if (byte === 0xff) {
+                const next = buffer[offset]
+                if (next === 0) {
+                    offset++
+                } else if (next >= 0xd0 && next <= 0xd7) {
+                    byte = 0
+                } else {
+                    throw new Error('Unexpected JPEG marker in scan data')
+                }
+            }
+            bitBuffer = byte
+            bitCount = 8
+        }
+        bitCount--
+        return (bitBuffer >> bitCount) & 1
+    }
+    const receive = length => {
+        let value = 0
+        for (let i = 0; i < length; i++) value = (value << 1) | readBit()
+        return value
+    }
+    const receiveExtend = length => {
+        if (length === 0) return 0
+        const value = receive(length)
+        return value < 1 << (length - 1) ? value - (1 << length) + 1 : value
+    }
+    const decodeHuffman = table => {
+        let code = 0
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | readBit()
+            const symbol = table.get((length << 16) | code)
+            if (symbol !== undefined) return symbol
+        }
+        throw new Error('Invalid JPEG Huffman code')
+    }
+
+    const decodeBlock = (component, blockRow, blockColumn) => {
+        const quant = quantTables[component.quant]
+        const block = new Float64Array(64)
+
+        component.predictor += receiveExtend(decodeHuffman(component.dcTable))
+        block[0] = component.predictor * quant[0]
+
+        for (let k = 1; k < 64;) {
+            const symbol = decodeHuffman(component.acTable)
+            const run = symbol >> 4
+            const size = symbol & 0x0f
+
+            if (size === 0) {
+                if (run !== 15) break
+                k += 16
+                continue
+            }
+
+            k += run
+            block[JPEG_ZIGZAG[k]] = receiveExtend(size) * quant[k]
+            k++
+        }
+
+        inverseDct(block)
+
+        for (let y = 0; y < 8; y++) {
+            const row = (blockRow * 8 + y) * component.stride + blockColumn * 8
+            for (let x = 0; x < 8; x++) component.samples[row + x] = block[y * 8 + x]
+        }
+    }
+
+    // A scan holds either interleaved MCUs of all its components or the blocks of a single one
+    const single = scanComponents.length === 1
+    const blocksPerLine = single
+        ? Math.ceil(Math.ceil((frame.width * scanComponents[0].h) / maxH) / 8)
+        : mcusPerLine
+    const blocksPerColumn = single
+        ? Math.ceil(Math.ceil((frame.height * scanComponents[0].v) / maxV) / 8)
+        : mcusPerColumn
+    const total = blocksPerLine * blocksPerColumn
+
+    for (let index = 0; index < total; index++) {
+        if (restartInterval && index > 0 && index % restartInterval === 0) {
+            // Skip to the restart marker and reset the decoder state
+            bitCount = 0
+            while (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7)) offset++
+            offset += 2
+            scanComponents.forEach(component => {
+                component.predictor = 0
+            })
+        }
+
+        const row = Math.floor(index / blocksPerLine)
+        const column = index % blocksPerLine
+
+        if (single) {
+            decodeBlock(scanComponents[0], row, column)
+        } else {
+            scanComponents.forEach(component => {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlock(component, row * component.v + v, column * component.h + h)
+                    }
+                }
+            })
+        }
+    }
+
+    // Continue after the scan data at the next marker
+    while (offset < buffer.length && !(buffer[offset] === 0xff && buffer[offset + 1] !== 0 && !(buffer[offset + 1] >= 0xd0 && buffer[offset + 1] <= 0xd7))) offset++
+    return offset
+}
+
+// Function to get the sample of a decoded JPEG component at a pixel
+function getJpegSample(frame, component, x, y) {
+    const sampleX = Math.floor((x * component.h) / frame.maxH)
+    const sampleY = Math.floor((y * component.v) / frame.maxV)
+    return component.samples[sampleY * component.stride + sampleX]
+}
+
+// Function to decode a BLP1 texture (JPEG or paletted) into RGBA pixels
+function decodeBlp(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'BLP1') throw new Error('Not a BLP1 image')
+
+    const compression = buffer.readUInt32LE(4)
+    const alphaBits = buffer.readUInt32LE(8)
+    const width = buffer.readUInt32LE(12)
+    const height = buffer.readUInt32LE(16)
+    const mipmapOffset = buffer.readUInt32LE(28)
+    const mipmapSize = buffer.readUInt32LE(28 + 64)
+    const pixels = Buffer.alloc(width * height * 4)
+
+    if (compression === 0) {
+        const headerSize = buffer.readUInt32LE(156)
+        const frame = decodeJpeg(Buffer.concat([
+            buffer.subarray(160, 160 + headerSize),
+            buffer.subarray(mipmapOffset, mipmapOffset + mipmapSize)
+        ]))
+        const [blue, green, red, alpha] = frame.components
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = (y * width + x) * 4
+                pixels[index] = getJpegSample(frame, red, x, y)
+                pixels[index + 1] = getJpegSample(frame, green, x, y)
+                pixels[index + 2] = getJpegSample(frame, blue, x, y)
+                pixels[index + 3] = alpha && alphaBits > 0 ? getJpegSample(frame, alpha, x, y) : 255
+            }
+        }
+    } else {
+        // Paletted: 256 BGRA colors, one index byte per pixel, then packed alpha values
+        const palette = buffer.subarray(156, 156 + 1024)
+        const indices = buffer.subarray(mipmapOffset, mipmapOffset + width * height)
+        const alphas = buffer.subarray(mipmapOffset + width * height)
+        const alphaMax = (1 << alphaBits) - 1
+
+        for (let i = 0; i < width * height; i++) {
+            const color = indices[i] * 4
+            pixels[i * 4] = palette[color + 2]
+            pixels[i * 4 + 1] = palette[color + 1]
+            pixels[i * 4 + 2] = palette[color]
+            if (alphaBits > 0) {
+                const bit = i * alphaBits
+                const value = (alphas[bit >> 3] >> (bit & 7)) & alphaMax
+                pixels[i * 4 + 3] = Math.round((value * 255) / alphaMax)
+            } else {
+                pixels[i * 4 + 3] = 255
+            }
+        }
+    }
+
+    return { width, height, pixels }
+}
+
+// Function to decode an uncompressed or RLE true-color TGA image into RGBA pixels
+function decodeTga(buffer) {
+    const idLength = buffer[0]
+    const imageType = buffer[2]
+    const width = buffer.readUInt16LE(12)
+    const height = buffer.readUInt16LE(14)
+    const bytesPerPixel = buffer[16] / 8
+    const topToBottom = (buffer[17] & 0x20) !== 0
+    const pixels = Buffer.alloc(width * height * 4)
+    let offset = 18 + idLength
+
+    if ((imageType !== 2 && imageType !== 10) || (bytesPerPixel !== 3 && bytesPerPixel !== 4)) {
+        throw new Error('Unsupported TGA image')
+    }
+
+    const writePixel = (i, source) => {
+        const y = Math.floor(i / width)
+        const row = topToBottom ? y : height - 1 - y
+        const index = (row * width + (i % width)) * 4
+        pixels[index] = buffer[source + 2]
+        pixels[index + 1] = buffer[source + 1]
+        pixels[index + 2] = buffer[source]
+        pixels[index + 3] = bytesPerPixel === 4 ? buffer[source + 3] : 255
+    }
+
+    for (let i = 0; i < width * height;) {
+        if (imageType === 2) {
+            writePixel(i++, offset)
+            offset += bytesPerPixel
+            continue
+        }
+
+        // RLE packets repeat one pixel, raw packets list several
+        const header = buffer[offset++]
+        const count = (header & 0x7f) + 1
+        for (let j = 0; j < count && i < width * height; j++) {
+            writePixel(i++, offset)
+            if (!(header & 0x80)) offset += bytesPerPixel
+        }
+        if (header & 0x80) offset += bytesPerPixel
+    }
+
+    return { width, height, pixels }
+}
+
+// Function to encode RGBA pixels as a PNG image
+function encodePng({ width, height, pixels }) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4)
+        const crc = Buffer.alloc(4)
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data])
+        length.writeUInt32BE(data.length)
+        crc.writeUInt32BE(zlib.crc32(body))
+        return Buffer.concat([length, body, crc])
+    }
+
+    const header = Buffer.alloc(13)
+    header.writeUInt32BE(width, 0)
+    header.writeUInt32BE(height, 4)
+    header[8] = 8 // bit depth
+    header[9] = 6 // RGBA
+
+    // Every scanline starts with filter type 0 (none)
+    const raw = Buffer.alloc((width * 4 + 1) * height)
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4)
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ])
+}
+
+// Decoded map previews by .w3x path, rebuilt when the map file changes
+const mapPreviewCache = new Map()
+
+// Function to get the preview of a map file as a PNG image, preferring the custom preview over the minimap
+// Unreadable preview files are reported to `logger` and skipped
+function getMapPreview(mapFilePath, logger = console) {
+    const stat = fs.statSync(mapFilePath)
+    const cached = mapPreviewCache.get(mapFilePath)
+
+    if (cached && cached.mtime === stat.mtimeMs) {
+        return cached.png
+    }
+
+    const archive = fs.readFileSync(mapFilePath)
+    let png = null
+
+    for (const fileName of MAP_PREVIEW_FILES) {
+        try {
+            const data = readMpqFile(archive, fileName)
+            if (data) {
+                png = encodePng(fileName.endsWith('.tga') ? decodeTga(data) : decodeBlp(data))
+                break
+            }
+        } catch (error) {
+            logger.warn(`Failed to read ${fileName} from ${mapFilePath}:`, error.message)
+        }
+    }
+
+    mapPreviewCache.set(mapFilePath, { mtime: stat.mtimeMs, png })
+    return png
+}
+
+module.exports = {
+    readMpqFile,
+    decodeJpeg,
+    decodeBlp,
+    decodeTga,
+    encodePng,
+    getMapPreview
+}
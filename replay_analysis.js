@@ -0,0 +1,368 @@
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const W3GReplay = require('w3g')
+const { normalizeReplayText } = require('./replay_text')
+
+// Replay Analysis - parsing replays into analysis caches, shared by the server, the CLI and the conversion worker
+// Analysis Cache - every parsed replay is cached next to it as <replay>.w3g_analysis.json,
+// or gzipped as <replay>.w3g_analysis.json.gz when the server runs with ANALYSIS_GZIP=1.
+// Caches record the schema and parser versions they were written with and a hash of the replay,
+// so they are rebuilt when the app or the parser changes instead of trusting file mtimes
+const ANALYSIS_SCHEMA_VERSION = 4
+const PARSER_VERSION = require('w3g/package.json').version
+const ANALYSIS_GZIP = process.env.ANALYSIS_GZIP === '1'
+const ANALYSIS_FILE_PATTERN = /\.w3g_analysis\.json(\.gz)?$/i
+
+// Function to get the analysis cache path of a replay, the existing one if there is a cache
+function getAnalysisPath(w3gFilePath) {
+    const jsonPath = w3gFilePath.replace(/\.w3g$/i, '.w3g_analysis.json')
+
+    if (fs.existsSync(jsonPath)) return jsonPath
+    if (fs.existsSync(jsonPath + '.gz')) return jsonPath + '.gz'
+
+    return ANALYSIS_GZIP ? jsonPath + '.gz' : jsonPath
+}
+
+// Function to get the replay path of an analysis cache file
+function getReplayPathOfAnalysis(analysisPath) {
+    return analysisPath.replace(ANALYSIS_FILE_PATTERN, '.w3g')
+}
+
+// Function to hash the content of a replay
+function hashReplayFile(w3gFilePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(w3gFilePath)).digest('hex')
+}
+
+// Function to parse an analysis cache file, plain or gzipped
+function readAnalysisJson(analysisPath) {
+    const buffer = fs.readFileSync(analysisPath)
+    const content = /\.gz$/i.test(analysisPath) ? zlib.gunzipSync(buffer) : buffer
+
+    return JSON.parse(content.toString('utf8'))
+}
+
+// Function to build the cache content of parsed replay data
+// The parser's `filename` is dropped, it's an absolute path only valid on the machine that parsed the replay
+// Strings are re-decoded here so new conversions, migrations and upgraded caches all get readable text
+function buildAnalysisCache(w3gFilePath, replayData, parserVersion = PARSER_VERSION) {
+    const { filename, cache, ...analysis } = normalizeReplayText(replayData)
+    const stat = fs.existsSync(w3gFilePath) ? fs.statSync(w3gFilePath) : null
+
+    analysis.cache = {
+        schemaVersion: ANALYSIS_SCHEMA_VERSION,
+        parserVersion,
+        sourceHash: stat ? hashReplayFile(w3gFilePath) : null,
+        sourceSize: stat ? stat.size : null,
+        sourceMtime: stat ? stat.mtimeMs : null
+    }
+
+    return analysis
+}
+
+// Function to write analysis data to a cache file, gzipped if the path ends with .gz
+function writeAnalysisFile(analysisPath, analysis) {
+    const content = JSON.stringify(analysis)
+    fs.writeFileSync(analysisPath, /\.gz$/i.test(analysisPath) ? zlib.gzipSync(content) : content)
+}
+
+// Function to cache parsed replay data in the configured format, returns the cache path
+function saveAnalysis(w3gFilePath, replayData, parserVersion = PARSER_VERSION) {
+    const jsonPath = w3gFilePath.replace(/\.w3g$/i, '.w3g_analysis.json')
+    const analysisPath = ANALYSIS_GZIP ? jsonPath + '.gz' : jsonPath
+    const otherPath = ANALYSIS_GZIP ? jsonPath : jsonPath + '.gz'
+
+    writeAnalysisFile(analysisPath, buildAnalysisCache(w3gFilePath, replayData, parserVersion))
+
+    // A cache in the other format would shadow or duplicate the new one
+    if (fs.existsSync(otherPath)) {
+        fs.unlinkSync(otherPath)
+    }
+
+    return analysisPath
+}
+
+// Replay files start with this signature, followed by the header described in readReplayHeader
+const REPLAY_SIGNATURE = 'Warcraft III recorded game'
+const REPLAY_HEADER_SIZE = 0x44
+
+// Function to read the header of a replay from its first bytes, returns null if it isn't a replay
+function readReplayHeader(buffer) {
+    if (buffer.length < REPLAY_HEADER_SIZE || buffer.toString('latin1', 0, REPLAY_SIGNATURE.length) !== REPLAY_SIGNATURE) {
+        return null
+    }
+
+    const headerVersion = buffer.readUInt32LE(0x24)
+
+    // Version 0 headers are used by Reign of Chaos replays before patch 1.07
+    if (headerVersion === 0) {
+        return {
+            ident: 'WAR3',
+            major_v: buffer.readUInt16LE(0x32),
+            build_v: buffer.readUInt16LE(0x34),
+            length: buffer.readUInt32LE(0x38),
+            checksum: buffer.readInt32LE(0x3c)
+        }
+    }
+
+    return {
+        ident: buffer.toString('latin1', 0x30, 0x34).split('').reverse().join(''),
+        major_v: buffer.readUInt32LE(0x34),
+        build_v: buffer.readUInt16LE(0x38),
+        length: buffer.readUInt32LE(0x3c),
+        checksum: buffer.readInt32LE(0x40)
+    }
+}
+
+// Function to read the header of a replay file on disk
+function readReplayFileHeader(w3gFilePath) {
+    const buffer = Buffer.alloc(REPLAY_HEADER_SIZE)
+    const fd = fs.openSync(w3gFilePath, 'r')
+
+    try {
+        const bytesRead = fs.readSync(fd, buffer, 0, REPLAY_HEADER_SIZE, 0)
+        return readReplayHeader(buffer.subarray(0, bytesRead))
+    } finally {
+        fs.closeSync(fd)
+    }
+}
+
+// Replay data blocks that carry no actions, mapped to their size after the block id
+// Time slots (0x1e/0x1f) and chat (0x20) are sized by their own length field
+const REPLAY_BLOCK_SIZES = {
+    0x17: 13, // player left
+    0x1a: 4, // first startup block
+    0x1b: 4, // second startup block
+    0x1c: 4, // third startup block
+    0x23: 10, // unknown
+    0x2f: 8 // forced game end countdown
+}
+// Reforged replays (build 10032+) use 12-byte headers for their compressed blocks
+const REFORGED_MAJOR_VERSION = 10032
+// Function to decompress the data blocks of a replay, stopping at the first block that is cut off or corrupt
+// Returns { data, blockCount, blocksRead, truncated, error } with the data of every readable block
+function readReplayBlocks(buffer, header) {
+    const blockHeaderSize = header.major_v >= REFORGED_MAJOR_VERSION ? 12 : 8
+    const blockCount = buffer.readUInt32LE(0x2c)
+    const blocks = []
+    let offset = buffer.readUInt32LE(0x1c)
+    let truncated = false
+    let error = null
+
+    for (let i = 0; i < blockCount; i++) {
+        if (offset + blockHeaderSize > buffer.length) {
+            truncated = true
+            break
+        }
+
+        const compressedSize = blockHeaderSize === 12 ? buffer.readUInt32LE(offset) : buffer.readUInt16LE(offset)
+        const start = offset + blockHeaderSize
+        if (start + compressedSize > buffer.length) truncated = true
+
+        try {
+            blocks.push(zlib.inflateSync(buffer.subarray(start, start + compressedSize), { finishFlush: zlib.constants.Z_SYNC_FLUSH }))
+        } catch (inflateError) {
+            error = inflateError.message
+            break
+        }
+
+        if (truncated) break
+        offset = start + compressedSize
+    }
+
+    return { data: Buffer.concat(blocks), blockCount, blocksRead: blocks.length, truncated, error }
+}
+
+// Function to decompress the data blocks of a replay into one buffer, a cut off replay gives the data up to the cut
+function readReplayData(buffer, header) {
+    const blocks = readReplayBlocks(buffer, header)
+    if (blocks.error) throw new Error(`Corrupt data block ${blocks.blocksRead + 1}: ${blocks.error}`)
+
+    return blocks.data
+}
+
+// Function to skip a null-terminated string, returns the offset after it
+function skipCString(data, offset) {
+    while (offset < data.length && data[offset] !== 0) offset++
+    return offset + 1
+}
+
+// Function to read a null-terminated UTF-8 string
+function readCString(data, offset) {
+    return data.toString('utf8', offset, skipCString(data, offset) - 1)
+}
+
+// Function to decode the game settings string, every 8th byte holds the low bits of the next 7 bytes
+function decodeGameSettings(encoded) {
+    const decoded = []
+
+    for (let i = 0; i < encoded.length; i += 8) {
+        const mask = encoded[i]
+        for (let j = 1; j < 8 && i + j < encoded.length; j++) {
+            decoded.push(mask & (1 << j) ? encoded[i + j] : encoded[i + j] - 1)
+        }
+    }
+
+    return Buffer.from(decoded)
+}
+
+// Function to read the game header at the start of the decompressed replay data: host record,
+// game name, encoded settings, player list and slots. Returns null if the data doesn't start with one
+// `offset` is where the blocks of the game itself start
+function readReplayGameHeader(data) {
+    let offset = 4
+    if (data[offset] !== 0x00) return null
+
+    const players = [{ id: data[offset + 1], name: readCString(data, offset + 2) }]
+    offset = skipCString(data, offset + 2)
+    offset += 1 + data[offset]
+
+    const name = readCString(data, offset)
+    offset = skipCString(data, offset) + 1
+
+    const settingsEnd = skipCString(data, offset)
+    const settings = decodeGameSettings(data.subarray(offset, settingsEnd - 1))
+    const map = readCString(settings, 13)
+    offset = settingsEnd + 12
+
+    while (data[offset] === 0x16) {
+        players.push({ id: data[offset + 1], name: readCString(data, offset + 2) })
+        offset = skipCString(data, offset + 2)
+        offset += 1 + data[offset] + 4
+    }
+    if (data[offset] !== 0x19) return null
+    offset += 3 + data.readUInt16LE(offset + 1)
+
+    return { host: players[0].name, name, map, players, offset }
+}
+
+// Function to count the action blocks of every player per minute of game time, from `offset` in the replay data
+// Returns { counts: { playerId: [blocks in minute 0, minute 1, ...] }, time } where time is the last game time read
+function countReplayActions(data, offset) {
+    const counts = {}
+    let time = 0
+
+    while (offset + 3 <= data.length) {
+        const blockId = data[offset]
+
+        if (blockId === 0x1e || blockId === 0x1f) {
+            const length = data.readUInt16LE(offset + 1)
+            const end = offset + 3 + length
+            if (end > data.length) break
+
+            const minute = Math.floor(time / 60000)
+            time += data.readUInt16LE(offset + 3)
+
+            for (let position = offset + 5; position + 3 <= end;) {
+                const playerId = data[position]
+                const actionLength = data.readUInt16LE(position + 1)
+
+                if (!counts[playerId]) counts[playerId] = []
+                counts[playerId][minute] = (counts[playerId][minute] || 0) + 1
+                position += 3 + actionLength
+            }
+
+            offset = end
+        } else if (blockId === 0x20) {
+            offset += 4 + data.readUInt16LE(offset + 2)
+        } else if (blockId === 0x22) {
+            offset += 2 + data[offset + 1]
+        } else if (REPLAY_BLOCK_SIZES[blockId] !== undefined) {
+            offset += 1 + REPLAY_BLOCK_SIZES[blockId]
+        } else {
+            // Zero padding or an unknown block ends the readable data
+            break
+        }
+    }
+
+    Object.values(counts).forEach(minutes => {
+        for (let minute = 0; minute < minutes.length; minute++) {
+            minutes[minute] = minutes[minute] || 0
+        }
+    })
+
+    return { counts, time }
+}
+
+// Function to count the action blocks of every player per minute of game time
+// Returns { playerId: [blocks in minute 0, minute 1, ...] }, or null if the replay can't be read
+function readReplayActionCounts(w3gFilePath) {
+    const buffer = fs.readFileSync(w3gFilePath)
+    const header = readReplayHeader(buffer)
+    if (!header) return null
+
+    const data = readReplayData(buffer, header)
+    const gameHeader = readReplayGameHeader(data)
+    if (!gameHeader) return null
+
+    return countReplayActions(data, gameHeader.offset).counts
+}
+
+// Function to add a per-minute APM curve (`apm_timeline`) to every player of a converted replay
+// Action blocks are scaled so each curve adds up to the player's parsed action count
+// Returns why the actions of the replay couldn't be read, players then get an empty curve, or null
+function addApmTimelines(jsonData, w3gFilePath) {
+    let counts = null
+    let warning = null
+
+    try {
+        counts = fs.existsSync(w3gFilePath) ? readReplayActionCounts(w3gFilePath) : null
+    } catch (error) {
+        warning = `Failed to read actions of ${path.basename(w3gFilePath)}: ${error.message}`
+    }
+
+    const duration = jsonData.header ? jsonData.header.length : 0
+
+    ;(jsonData.teams || []).forEach(team => {
+        if (team === null || typeof team !== 'object') return
+
+        Object.values(team).forEach(player => {
+            if (!player) return
+
+            const minutes = (counts && counts[player.player_id]) || []
+            const totalBlocks = minutes.reduce((sum, count) => sum + count, 0)
+            const scale = totalBlocks > 0 ? (player.actions || 0) / totalBlocks : 0
+            const playerEnd = player.time || duration
+
+            player.apm_timeline = minutes
+                .map((count, minute) => {
+                    // The last minute is usually partial, scale it to a full minute
+                    const covered = Math.min(60000, playerEnd - minute * 60000)
+                    return covered > 0 ? Math.round((count * scale * 60000) / Math.max(covered, 15000)) : null
+                })
+                .filter(apm => apm !== null)
+        })
+    })
+
+    return warning
+}
+
+// Function to parse a replay, add its APM curves and cache the result
+// Returns { analysisPath, warning }, the warning tells why the APM curves are empty and is left to the caller to log
+function convertReplay(w3gFilePath) {
+    const replayData = new W3GReplay(w3gFilePath)
+    const warning = addApmTimelines(replayData, w3gFilePath)
+
+    return { analysisPath: saveAnalysis(w3gFilePath, replayData), warning }
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA_VERSION,
+    PARSER_VERSION,
+    ANALYSIS_GZIP,
+    ANALYSIS_FILE_PATTERN,
+    REFORGED_MAJOR_VERSION,
+    getAnalysisPath,
+    getReplayPathOfAnalysis,
+    hashReplayFile,
+    readAnalysisJson,
+    saveAnalysis,
+    convertReplay,
+    readReplayHeader,
+    readReplayFileHeader,
+    readReplayBlocks,
+    readReplayGameHeader,
+    countReplayActions,
+    addApmTimelines
+}
@@ -0,0 +1,35 @@
+// Text Normalization - the parser decodes some replay strings (game names, player names, chat)
+// byte by byte as Latin-1, so UTF-8 text like "当地" comes out as "å½\x93å\x9c°"
+const REPLACEMENT_CHARACTER = '�'
+
+// Function to re-decode a string whose UTF-8 bytes were read as Latin-1, other strings are returned as they are
+function decodeMojibake(text) {
+    // Only strings made of single bytes with at least one non-ASCII byte can be mis-decoded UTF-8
+    if (!/[\x80-\xff]/.test(text) || /[^\x00-\xff]/.test(text)) return text
+
+    let decoded = Buffer.from(text, 'latin1').toString('utf8')
+
+    // The parser cuts long names at a byte limit, which can split the last character of real UTF-8 text.
+    // The cut is only trusted when the rest decoded cleanly into characters Latin-1 doesn't have,
+    // so Latin-1 names ending in an accented letter ("José") aren't mistaken for cut UTF-8
+    const trimmed = decoded.replace(/�+$/, '')
+    if (trimmed !== decoded && !trimmed.includes(REPLACEMENT_CHARACTER) && /[^\x00-\xff]/.test(trimmed)) {
+        decoded = trimmed
+    }
+
+    // Invalid sequences mean the string was Latin-1 after all
+    if (decoded.includes(REPLACEMENT_CHARACTER)) return text
+
+    return decoded.normalize('NFC')
+}
+
+// Function to decode every string value and key of parsed replay data
+function normalizeReplayText(data) {
+    if (typeof data === 'string') return decodeMojibake(data)
+    if (Array.isArray(data)) return data.map(normalizeReplayText)
+    if (data === null || typeof data !== 'object') return data
+
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [decodeMojibake(key), normalizeReplayText(value)]))
+}
+
+module.exports = { decodeMojibake, normalizeReplayText }
@@ -18,7 +18,106 @@ createApp({
         const showConversionReport = ref(false)
         const dashboardStats = ref(null)
         const loadingDashboard = ref(false)
+        const ratings = ref(null)
+        const ratingSystem = ref('trueskill')
+        const liveNotice = ref('')
+        const pairwiseMode = ref('versus')
+        const dashboardTab = ref('players')
+        const dashboardMode = ref('')
+        const mapStats = ref([])
+        const loadingMaps = ref(false)
+        const chatLog = ref([])
+        const loadingChat = ref(false)
+        const gameResult = ref(null)
+        const resultOverride = ref('auto')
+        const savingResult = ref(false)
+        const chatStats = ref([])
+        const chatQuery = ref({ q: '', player: '' })
+        const chatResults = ref(null)
+        const searchingChat = ref(false)
+        const sessions = ref([])
+        const replayProblems = ref(null)
+        const loadingProblems = ref(false)
+        const replayDiagnosis = ref(null)
+        const loadingSessions = ref(false)
+        const selectedSession = ref(null)
+        const sessionReport = ref(null)
+        const loadingSessionReport = ref(false)
+        const selectedHero = ref(null)
+        const heroStats = ref(null)
+        const loadingHeroStats = ref(false)
+        const pickingCompare = ref(false)
+        const compareFile = ref(null)
+        const compareData = ref(null)
+        const loadingCompare = ref(false)
+        const compareMetric = ref('APM')
+        const aliasData = ref(null)
+        const aliasSuggestions = ref([])
+        const aliasForm = ref({ alias: '', player: '' })
+        const aliasError = ref('')
+        const librarySearch = ref(false)
+        const searching = ref(false)
+        const searchResults = ref(null)
+        const searchFilters = ref({
+            player: '',
+            race: '',
+            hero: '',
+            map: '',
+            gameType: '',
+            mode: '',
+            playerCount: '',
+            minDuration: '',
+            maxDuration: '',
+            from: '',
+            to: '',
+            winner: '',
+            minApm: '',
+            maxApm: '',
+            sort: 'date',
+            order: 'desc'
+        })
+        const selectedPlayer = ref(null)
+        const playerProfile = ref(null)
+        const loadingProfile = ref(false)
+        const uploading = ref(false)
+        const uploadResult = ref(null)
+        const dragActive = ref(false)
+        let eventSource = null
+        let liveNoticeTimer = null
+        let conversionJobId = null
         const selectedAction = ref('Right click')
+        const timelineData = ref(null)
+        const loadingTimeline = ref(false)
+        const timelineZoom = ref(1)
+        const timelineCategories = ref(['buildings', 'upgrades', 'heroes'])
+
+        // Seconds covered by one timeline row at each zoom level
+        const timelineZoomLevels = [120, 60, 30, 15, 5]
+        const timelineCategoryOptions = ['buildings', 'upgrades', 'heroes', 'units', 'items']
+        const gameModes = ['1v1', '2v2', '3v3', '4v4', 'ffa', 'vs-ai', 'custom']
+
+        // Interface languages, their messages are defined in i18n.js
+        const localeNames = { en: 'English', zh: '中文' }
+
+        // The saved choice wins over the browser language
+        const getInitialLocale = () => {
+            const saved = localStorage.getItem('locale')
+            if (localeNames[saved]) return saved
+            return (navigator.language || '').toLowerCase().startsWith('zh') ? 'zh' : 'en'
+        }
+        const locale = ref(getInitialLocale())
+
+        // Message of the current locale, falls back to English and then to the key itself
+        // {name} placeholders are replaced by the matching params
+        const t = (key, params = {}) => {
+            const message = UI_MESSAGES[locale.value][key] ?? UI_MESSAGES.en[key] ?? key
+            return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder)
+        }
+
+        watch(locale, (newLocale) => {
+            localStorage.setItem('locale', newLocale)
+            document.documentElement.lang = newLocale
+        }, { immediate: true })
 
         // Computed properties
         const breadcrumbParts = computed(() => {
@@ -35,6 +134,14 @@ createApp({
             )
         })
 
+        // Items shown in the file grid - the current folder or library search results
+        const displayedItems = computed(() => {
+            if (librarySearch.value) {
+                return searchResults.value ? searchResults.value.items : []
+            }
+            return filteredItems.value
+        })
+
         const activePlayers = computed(() => {
             if (!analysisData.value || !analysisData.value.teams) return []
             
@@ -76,6 +183,80 @@ createApp({
             return Array.from(actions).sort()
         })
 
+        const timelineRows = computed(() => {
+            if (!timelineData.value || !timelineData.value.players.length) return []
+
+            const bucketSize = timelineZoomLevels[timelineZoom.value] * 1000
+            const players = timelineData.value.players
+            const rows = {}
+
+            players.forEach((player, playerIndex) => {
+                player.events.forEach(event => {
+                    if (!timelineCategories.value.includes(event.category)) return
+
+                    const bucket = Math.floor(event.time / bucketSize)
+                    if (!rows[bucket]) {
+                        rows[bucket] = {
+                            time: bucket * bucketSize,
+                            cells: players.map(() => [])
+                        }
+                    }
+
+                    // Merge repeated entries of the same kind inside one row, e.g. "3 Peon"
+                    const cell = rows[bucket].cells[playerIndex]
+                    const existing = cell.find(e => e.category === event.category && e.name === event.name)
+                    if (existing) {
+                        existing.count += event.count
+                    } else {
+                        cell.push({ ...event })
+                    }
+                })
+            })
+
+            return Object.keys(rows)
+                .map(bucket => rows[bucket])
+                .sort((a, b) => a.time - b.time)
+        })
+
+        // Highest control group use in the game, used to scale the heatmap
+        const controlGroupMax = computed(() => {
+            return Math.max(1, ...activePlayers.value.flatMap(player =>
+                Object.values(player.hotkeys || {}).map(group => group.used || 0)
+            ))
+        })
+
+        // Shared scale of the APM curves: the longest game time and the highest minute
+        const apmCurveScale = computed(() => {
+            const timelines = activePlayers.value.map(player => player.apm_timeline || [])
+            return {
+                minutes: Math.max(1, ...timelines.map(timeline => timeline.length)),
+                max: Math.max(1, ...timelines.flat())
+            }
+        })
+
+        const hotkeyHabitMax = computed(() => {
+            if (!dashboardStats.value) return 1
+
+            return Math.max(1, ...Object.values(dashboardStats.value.playerStats).flatMap(stats =>
+                stats.hotkeys ? stats.hotkeys.groups : []
+            ))
+        })
+
+        const compareMetrics = computed(() => {
+            if (!compareData.value) return []
+
+            const metrics = new Set()
+            compareData.value.players.forEach(pair => {
+                [pair.a, pair.b].forEach(summary => {
+                    if (summary) {
+                        Object.keys(summary.actions_details).forEach(action => metrics.add(action))
+                    }
+                })
+            })
+
+            return ['APM', 'Total Actions', ...Array.from(metrics).sort()]
+        })
+
         // Watch for data changes to update selectedAction
         watch(availableActions, (newActions) => {
             if (newActions.length > 0 && !newActions.includes(selectedAction.value)) {
@@ -98,15 +279,59 @@ createApp({
                     currentPath.value = data.currentPath
                     currentItems.value = data.items
                 } else {
-                    error.value = data.error || 'Failed to load directory'
+                    error.value = data.error || t('errors.loadDirectory')
                 }
             } catch (err) {
-                error.value = 'Network error: ' + err.message
+                error.value = t('errors.network', { message: err.message })
             } finally {
                 loading.value = false
             }
         }
 
+        const searchLibrary = async (page = 1) => {
+            searching.value = true
+            error.value = ''
+
+            const params = new URLSearchParams({ page })
+            Object.entries(searchFilters.value).forEach(([key, value]) => {
+                if (value !== '' && value !== null) {
+                    params.append(key, value)
+                }
+            })
+
+            try {
+                const response = await fetch(`/api/search?${params.toString()}`)
+                const data = await response.json()
+
+                if (response.ok) {
+                    searchResults.value = data
+                } else {
+                    error.value = data.error || t('errors.search')
+                }
+            } catch (err) {
+                error.value = t('errors.network', { message: err.message })
+            } finally {
+                searching.value = false
+            }
+        }
+
+        const setLibrarySearch = (enabled) => {
+            librarySearch.value = enabled
+            error.value = ''
+            if (enabled && !searchResults.value) {
+                searchLibrary()
+            }
+        }
+
+        const resetSearchFilters = () => {
+            Object.keys(searchFilters.value).forEach(key => {
+                searchFilters.value[key] = ''
+            })
+            searchFilters.value.sort = 'date'
+            searchFilters.value.order = 'desc'
+            searchLibrary()
+        }
+
         const formatFileSize = (bytes) => {
             if (bytes === 0) return '0 Bytes'
             const k = 1024
@@ -120,7 +345,7 @@ createApp({
         }
 
         const formatDate = (dateString) => {
-            return new Date(dateString).toLocaleDateString()
+            return new Date(dateString).toLocaleDateString(locale.value)
         }
 
         const downloadFile = (filePath) => {
@@ -135,13 +360,20 @@ createApp({
                 loadDirectory(item.path)
             } else {
                 // Directly select file, close modal, and analyze
-                selectedFile.value = item
-                closeModal()
-                analyzeFile()
+                selectFile(item)
             }
         }
 
         const selectFile = (file) => {
+            if (pickingCompare.value) {
+                compareWith(file)
+                closeModal()
+                return
+            }
+
+            closePlayerProfile()
+            clearCompare()
+            closeHeroStats()
             selectedFile.value = file
             closeModal()
             analyzeFile()
@@ -153,6 +385,7 @@ createApp({
             setTimeout(() => {
                 showModal.value = false
                 isClosing.value = false
+                pickingCompare.value = false
             }, 200) // Match animation duration
         }
 
@@ -166,15 +399,30 @@ createApp({
             if (!selectedFile.value) return
             
             analyzing.value = true
+            replayDiagnosis.value = null
             try {
                 // Simulate API call to analyze the file
                 const response = await fetch(
                     `/api/analyze?path=${encodeURIComponent(selectedFile.value.path)}`
                 )
                 
-                if (response.ok) {
+                if (response.status === 202) {
+                    // The replay is being converted, analyze it again once its job is done
+                    const file = selectedFile.value
+                    await waitForConversionJob((await response.json()).job.id)
+                    if (selectedFile.value === file) return await analyzeFile()
+                    return
+                } else if (response.ok) {
                     const data = await response.json()
                     analysisData.value = data
+                    loadTimeline()
+                    loadChat()
+                    loadGameResult()
+                } else if (response.status === 500) {
+                    // Broken replays come with a diagnosis of what went wrong
+                    const errorData = await response.json()
+                    analysisData.value = null
+                    replayDiagnosis.value = errorData.diagnosis || { reason: errorData.details || errorData.error }
                 } else {
                     // For demo purposes, load example data
                     const exampleResponse = await fetch('/example.json')
@@ -194,9 +442,270 @@ createApp({
             }
         }
 
+        const loadTimeline = async () => {
+            if (!selectedFile.value) return
+
+            loadingTimeline.value = true
+            timelineData.value = null
+
+            try {
+                const response = await fetch(
+                    `/api/timeline?path=${encodeURIComponent(selectedFile.value.path)}`
+                )
+
+                if (response.ok) {
+                    timelineData.value = await response.json()
+                } else {
+                    console.error('Failed to load timeline')
+                }
+            } catch (err) {
+                console.error('Timeline loading failed:', err)
+            } finally {
+                loadingTimeline.value = false
+            }
+        }
+
+        const loadChat = async () => {
+            if (!selectedFile.value) return
+
+            loadingChat.value = true
+            chatLog.value = []
+
+            try {
+                const response = await fetch(
+                    `/api/chat?path=${encodeURIComponent(selectedFile.value.path)}`
+                )
+
+                if (response.ok) {
+                    chatLog.value = await response.json()
+                } else {
+                    console.error('Failed to load chat log')
+                }
+            } catch (err) {
+                console.error('Chat log loading failed:', err)
+            } finally {
+                loadingChat.value = false
+            }
+        }
+
+        const loadGameResult = async () => {
+            if (!selectedFile.value) return
+
+            gameResult.value = null
+
+            try {
+                const response = await fetch(
+                    `/api/results?path=${encodeURIComponent(selectedFile.value.path)}`
+                )
+
+                if (response.ok) {
+                    gameResult.value = await response.json()
+                    resultOverride.value = getResultOverrideValue(gameResult.value)
+                } else {
+                    console.error('Failed to load game result')
+                }
+            } catch (err) {
+                console.error('Game result loading failed:', err)
+            }
+        }
+
+        // The override select holds 'auto', 'draw', 'unknown' or 'team-<id>'
+        const getResultOverrideValue = (result) => {
+            if (result.source !== 'override') return 'auto'
+            return result.outcome === 'win' ? `team-${result.winnerTeam}` : result.outcome
+        }
+
+        // Save or drop the manual result of the selected replay, then refresh the statistics it feeds
+        const saveResultOverride = async () => {
+            if (!selectedFile.value) return
+
+            const value = resultOverride.value
+            const url = `/api/results?path=${encodeURIComponent(selectedFile.value.path)}`
+            savingResult.value = true
+
+            try {
+                const response = value === 'auto'
+                    ? await fetch(url, { method: 'DELETE' })
+                    : await fetch(url, {
+                        method: 'PUT',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(value.startsWith('team-')
+                            ? { outcome: 'win', winnerTeam: parseInt(value.slice(5), 10) }
+                            : { outcome: value })
+                    })
+
+                if (response.ok || response.status === 404) {
+                    await loadGameResult()
+                    if (dashboardStats.value) loadDashboard()
+                } else {
+                    const data = await response.json()
+                    console.error('Failed to save game result:', data.error)
+                }
+            } catch (err) {
+                console.error('Game result saving failed:', err)
+            } finally {
+                savingResult.value = false
+            }
+        }
+
+        const getResultText = (result) => {
+            if (result.outcome === 'draw') return t('result.draw')
+            if (result.outcome !== 'win') return t('result.unknown')
+            return t('result.teamWon', { team: getTeamName(result.winnerTeam) })
+        }
+
+        // Short label of a player's result in a game: W, L, D or ? when the winner isn't known
+        const getResultLetter = (result) => ['win', 'loss', 'draw'].includes(result) ? t(`result.letter.${result}`) : '?'
+
+        const getResultClass = (result) => {
+            if (result === 'win') return 'high-winrate'
+            if (result === 'loss') return 'low-winrate'
+            return 'medium-winrate'
+        }
+
+        // Teams of the analyzed game, for the result override select
+        const getGameTeamIds = () => {
+            if (!analysisData.value || !analysisData.value.teams) return []
+
+            const teamIds = new Set()
+            analysisData.value.teams.forEach(team => {
+                if (team !== null && typeof team === 'object') {
+                    Object.values(team).forEach(player => {
+                        if (player && player.actions > 0) teamIds.add(player.team)
+                    })
+                }
+            })
+
+            return [...teamIds].sort((a, b) => a - b)
+        }
+
+        const zoomTimeline = (delta) => {
+            const zoom = timelineZoom.value + delta
+            if (zoom >= 0 && zoom < timelineZoomLevels.length) {
+                timelineZoom.value = zoom
+            }
+        }
+
+        const toggleTimelineCategory = (category) => {
+            if (timelineCategories.value.includes(category)) {
+                timelineCategories.value = timelineCategories.value.filter(c => c !== category)
+            } else {
+                timelineCategories.value = [...timelineCategories.value, category]
+            }
+        }
+
+        const openCompareModal = () => {
+            pickingCompare.value = true
+            openModal()
+        }
+
+        const compareWith = async (file) => {
+            compareFile.value = file
+            compareData.value = null
+            loadingCompare.value = true
+
+            try {
+                const response = await fetch(
+                    `/api/compare?a=${encodeURIComponent(selectedFile.value.path)}&b=${encodeURIComponent(file.path)}`
+                )
+
+                if (response.status === 202) {
+                    await waitForConversionJob((await response.json()).job.id)
+                    if (compareFile.value === file) return await compareWith(file)
+                    return
+                } else if (response.ok) {
+                    compareData.value = await response.json()
+                } else {
+                    console.error('Failed to compare replays')
+                }
+            } catch (err) {
+                console.error('Comparison failed:', err)
+            } finally {
+                loadingCompare.value = false
+            }
+        }
+
+        const clearCompare = () => {
+            compareFile.value = null
+            compareData.value = null
+        }
+
+        const getCompareValue = (summary, metric) => {
+            if (!summary) return 0
+
+            switch (metric) {
+                case 'APM':
+                    return summary.apm
+                case 'Total Actions':
+                    return summary.actions
+                default:
+                    return summary.actions_details[metric] || 0
+            }
+        }
+
+        const getCompareBarHeight = (summary, metric) => {
+            if (!compareData.value) return 0
+
+            const values = compareData.value.players.flatMap(pair => [
+                getCompareValue(pair.a, metric),
+                getCompareValue(pair.b, metric)
+            ])
+            const maxValue = Math.max(...values)
+
+            if (maxValue === 0) return 0
+            return (getCompareValue(summary, metric) / maxValue) * 100
+        }
+
+        // Rows of a count section (units, buildings, upgrades, heroes) for both games with the difference
+        const getCompareRows = (pair, section) => {
+            const countsA = pair.a ? pair.a[section] : {}
+            const countsB = pair.b ? pair.b[section] : {}
+            const names = new Set([...Object.keys(countsA), ...Object.keys(countsB)])
+
+            return Array.from(names)
+                .map(name => ({
+                    name,
+                    a: countsA[name] || 0,
+                    b: countsB[name] || 0,
+                    diff: (countsB[name] || 0) - (countsA[name] || 0)
+                }))
+                .sort((x, y) => Math.max(y.a, y.b) - Math.max(x.a, x.b))
+        }
+
+        // Milestone keys, labelled by the milestone.<key> and milestone.<key>Short messages
+        const milestoneKeys = ['firstHero', 'tier2', 'expansion', 'secondHero', 'tier3']
+
+        // Reached milestones of a player as short labels, e.g. "T2 4:12"
+        const getMilestoneBadges = (milestones) => {
+            if (!milestones) return []
+
+            return milestoneKeys
+                .filter(key => milestones[key] !== null && milestones[key] !== undefined)
+                .map(key => ({
+                    key,
+                    label: t(`milestone.${key}`),
+                    text: `${t(`milestone.${key}Short`)} ${formatGameTime(milestones[key])}`
+                }))
+        }
+
+        const formatTimeDiff = (timeA, timeB) => {
+            if (timeA === null || timeA === undefined || timeB === null || timeB === undefined) return '–'
+
+            const diff = timeB - timeA
+            return (diff >= 0 ? '+' : '-') + formatGameTime(Math.abs(diff))
+        }
+
         const selectNewFile = () => {
+            closePlayerProfile()
+            clearCompare()
+            closeHeroStats()
             selectedFile.value = null
             analysisData.value = null
+            replayDiagnosis.value = null
+            timelineData.value = null
+            chatLog.value = []
+            gameResult.value = null
+            resultOverride.value = 'auto'
             openModal()
         }
 
@@ -224,35 +733,32 @@ createApp({
                 if (response.ok) {
                     const result = await response.json()
                     
-                    // Set conversion report data
+                    // Show the queued job, its progress arrives through the event stream
+                    conversionJobId = result.job.id
                     conversionReport.value = {
                         success: true,
-                        totalFiles: result.result.totalFiles,
-                        convertedFiles: result.result.convertedFiles,
-                        skippedFiles: result.result.skippedFiles,
-                        errorFiles: result.result.errorFiles,
-                        message: result.message
+                        message: result.message,
+                        ...result.job
                     }
                     
                     // Show the report modal
                     showConversionReport.value = true
                     document.body.classList.add('modal-open')
-                    
-                    // Refresh the current directory to update file status
-                    if (showModal.value) {
-                        await loadDirectory(currentPath.value)
-                    }
+
+                    // Catch up on progress sent before the report was shown
+                    await refreshConversionJob(result.job.id)
                 } else {
                     const errorData = await response.json()
                     
                     // Set error report data
                     conversionReport.value = {
                         success: false,
-                        error: errorData.error || 'Conversion failed'
+                        error: errorData.error || t('errors.conversion')
                     }
                     
                     showConversionReport.value = true
                     document.body.classList.add('modal-open')
+                    converting.value = false
                 }
             } catch (err) {
                 console.error('Conversion failed:', err)
@@ -265,11 +771,148 @@ createApp({
                 
                 showConversionReport.value = true
                 document.body.classList.add('modal-open')
-            } finally {
                 converting.value = false
             }
         }
 
+        const isJobFinished = (job) => {
+            return job.finishedAt !== null
+        }
+
+        const getJobProgress = (job) => {
+            return job.totalFiles > 0 ? Math.round((job.processedFiles / job.totalFiles) * 100) : 100
+        }
+
+        // Apply a progress update of the job started from this page, the report may have been closed meanwhile
+        const updateConversionJob = async (job) => {
+            if (job.id !== conversionJobId || !converting.value) return
+
+            const report = conversionReport.value
+            if (report && report.success && report.id === job.id) {
+                conversionReport.value = { ...report, ...job }
+            }
+
+            if (isJobFinished(job)) {
+                converting.value = false
+                if (conversionReport.value && conversionReport.value.id === job.id) {
+                    conversionReport.value.message = job.status === 'cancelled' ? t('report.cancelledMessage') : t('report.completedMessage')
+                }
+
+                // Refresh the current directory to update file status
+                if (showModal.value) {
+                    await loadDirectory(currentPath.value)
+                }
+                if (!selectedFile.value) {
+                    loadDashboard()
+                }
+            }
+        }
+
+        // Resolve once a conversion job has finished, checking its progress every second
+        const waitForConversionJob = async (jobId) => {
+            for (;;) {
+                await new Promise(resolve => setTimeout(resolve, 1000))
+
+                const response = await fetch(`/api/jobs/${jobId}`)
+                if (!response.ok || isJobFinished(await response.json())) return
+            }
+        }
+
+        const refreshConversionJob = async (jobId) => {
+            try {
+                const response = await fetch(`/api/jobs/${jobId}`)
+                if (response.ok) {
+                    await updateConversionJob(await response.json())
+                }
+            } catch (err) {
+                console.error('Failed to load conversion job:', err)
+            }
+        }
+
+        const cancelConversionJob = async () => {
+            if (!conversionReport.value) return
+
+            try {
+                const response = await fetch(`/api/jobs/${conversionReport.value.id}/cancel`, { method: 'POST' })
+                if (response.ok) {
+                    await updateConversionJob(await response.json())
+                }
+            } catch (err) {
+                console.error('Failed to cancel conversion job:', err)
+            }
+        }
+
+        // Retry a single failed file, or every failure of the job when no path is given
+        const retryConversion = async (failedPath = null) => {
+            if (!conversionReport.value) return
+
+            try {
+                const response = await fetch(`/api/jobs/${conversionReport.value.id}/retry`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(failedPath ? { path: failedPath } : {})
+                })
+                const data = await response.json()
+
+                if (response.ok) {
+                    converting.value = true
+                    conversionJobId = data.id
+                    conversionReport.value = {
+                        success: true,
+                        message: t('report.retryingMessage'),
+                        ...data
+                    }
+                    await refreshConversionJob(data.id)
+                } else {
+                    console.error('Failed to retry conversion:', data.error)
+                }
+            } catch (err) {
+                console.error('Failed to retry conversion:', err)
+            }
+        }
+
+        const uploadFiles = async (files) => {
+            if (!files || files.length === 0) return
+
+            uploading.value = true
+            uploadResult.value = null
+
+            const formData = new FormData()
+            Array.from(files).forEach(file => formData.append('files', file))
+
+            try {
+                const response = await fetch('/api/upload', {
+                    method: 'POST',
+                    body: formData
+                })
+                const data = await response.json()
+
+                if (response.ok) {
+                    uploadResult.value = data
+                    // Open the folder the replays went to, or the library root if they went to several
+                    const folder = data.folders.length > 1 ? '' : data.folders[0]
+                    await loadDirectory(data.folders.length > 0 ? folder : currentPath.value)
+                } else {
+                    uploadResult.value = { error: data.error || t('errors.upload') }
+                }
+            } catch (err) {
+                console.error('Upload failed:', err)
+                uploadResult.value = { error: err.message }
+            } finally {
+                uploading.value = false
+            }
+        }
+
+        const handleDrop = (event) => {
+            dragActive.value = false
+            uploadFiles(event.dataTransfer.files)
+        }
+
+        const handleFileInput = (event) => {
+            uploadFiles(event.target.files)
+            event.target.value = ''
+        }
+
         const closeConversionReport = () => {
             showConversionReport.value = false
             conversionReport.value = null
@@ -280,7 +923,7 @@ createApp({
             loadingDashboard.value = true
             
             try {
-                const response = await fetch('/api/dashboard')
+                const response = await fetch(`/api/dashboard${getModeQuery()}`)
                 
                 if (response.ok) {
                     const data = await response.json()
@@ -295,6 +938,332 @@ createApp({
             } finally {
                 loadingDashboard.value = false
             }
+
+            loadRatings()
+            loadAliases()
+
+            if (dashboardTab.value === 'maps') {
+                loadMaps()
+            } else if (dashboardTab.value === 'sessions') {
+                loadSessions()
+            } else if (dashboardTab.value === 'chat') {
+                loadChatStats()
+            } else if (dashboardTab.value === 'problems') {
+                loadReplayProblems()
+            }
+        }
+
+        const loadReplayProblems = async () => {
+            loadingProblems.value = true
+
+            try {
+                const response = await fetch('/api/failures')
+
+                if (response.ok) {
+                    replayProblems.value = await response.json()
+                } else {
+                    console.error('Failed to load replay problems')
+                }
+            } catch (err) {
+                console.error('Replay problems loading failed:', err)
+            } finally {
+                loadingProblems.value = false
+            }
+        }
+
+        const getProblemCount = () => {
+            return dashboardStats.value ? dashboardStats.value.excludedGames + dashboardStats.value.failedGames : 0
+        }
+
+        const loadMaps = async () => {
+            loadingMaps.value = true
+
+            try {
+                const response = await fetch(`/api/maps${getModeQuery()}`)
+
+                if (response.ok) {
+                    mapStats.value = await response.json()
+                } else {
+                    console.error('Failed to load map statistics')
+                }
+            } catch (err) {
+                console.error('Map statistics loading failed:', err)
+            } finally {
+                loadingMaps.value = false
+            }
+        }
+
+        // Query string limiting statistics to the game mode picked on the dashboard
+        const getModeQuery = () => dashboardMode.value ? `?mode=${encodeURIComponent(dashboardMode.value)}` : ''
+
+        const changeDashboardMode = () => {
+            mapStats.value = []
+            loadDashboard()
+        }
+
+        const showDashboardTab = (tab) => {
+            dashboardTab.value = tab
+
+            if (tab === 'maps' && mapStats.value.length === 0) {
+                loadMaps()
+            } else if (tab === 'sessions' && sessions.value.length === 0) {
+                loadSessions()
+            } else if (tab === 'chat' && chatStats.value.length === 0) {
+                loadChatStats()
+            } else if (tab === 'problems' && !replayProblems.value) {
+                loadReplayProblems()
+            }
+        }
+
+        const loadChatStats = async () => {
+            try {
+                const response = await fetch('/api/chat/stats')
+
+                if (response.ok) {
+                    chatStats.value = await response.json()
+                } else {
+                    console.error('Failed to load chat statistics')
+                }
+            } catch (err) {
+                console.error('Chat statistics loading failed:', err)
+            }
+        }
+
+        const searchChat = async () => {
+            searchingChat.value = true
+
+            try {
+                const params = new URLSearchParams()
+                Object.entries(chatQuery.value).forEach(([key, value]) => {
+                    if (value) params.set(key, value)
+                })
+
+                const response = await fetch(`/api/chat/search?${params}`)
+
+                if (response.ok) {
+                    chatResults.value = await response.json()
+                } else {
+                    console.error('Chat search failed')
+                }
+            } catch (err) {
+                console.error('Chat search failed:', err)
+            } finally {
+                searchingChat.value = false
+            }
+        }
+
+        const loadSessions = async () => {
+            loadingSessions.value = true
+
+            try {
+                const response = await fetch('/api/sessions')
+
+                if (response.ok) {
+                    sessions.value = await response.json()
+                } else {
+                    console.error('Failed to load sessions')
+                }
+            } catch (err) {
+                console.error('Session loading failed:', err)
+            } finally {
+                loadingSessions.value = false
+            }
+        }
+
+        const openSession = async (sessionId) => {
+            selectedSession.value = sessionId
+            sessionReport.value = null
+            loadingSessionReport.value = true
+
+            try {
+                const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}`)
+
+                if (response.ok) {
+                    sessionReport.value = await response.json()
+                } else {
+                    console.error('Failed to load session report')
+                }
+            } catch (err) {
+                console.error('Session report loading failed:', err)
+            } finally {
+                loadingSessionReport.value = false
+            }
+        }
+
+        const getSessionReportUrl = (sessionId, format) => {
+            return `/api/sessions/${encodeURIComponent(sessionId)}?format=${format}`
+        }
+
+        const formatDateTime = (time) => {
+            return new Date(time).toLocaleString(locale.value, { dateStyle: 'medium', timeStyle: 'short' })
+        }
+
+        // Win/loss records keyed by name (races, slots) as rows sorted by games played
+        const getWinRateRows = (records) => {
+            return Object.entries(records || {})
+                .map(([name, record]) => {
+                    const games = record.wins + record.losses
+                    return {
+                        name,
+                        games,
+                        winRate: games > 0 ? parseFloat(((record.wins / games) * 100).toFixed(1)) : 0
+                    }
+                })
+                .sort((a, b) => b.games - a.games)
+        }
+
+        const loadRatings = async () => {
+            try {
+                const response = await fetch(`/api/ratings${getModeQuery()}`)
+
+                if (response.ok) {
+                    ratings.value = await response.json()
+                } else {
+                    console.error('Failed to load ratings')
+                    ratings.value = null
+                }
+            } catch (err) {
+                console.error('Ratings loading failed:', err)
+                ratings.value = null
+            }
+        }
+
+        const loadAliases = async () => {
+            try {
+                const [aliasResponse, suggestionResponse] = await Promise.all([
+                    fetch('/api/aliases'),
+                    fetch('/api/aliases/suggestions')
+                ])
+
+                if (aliasResponse.ok) {
+                    aliasData.value = await aliasResponse.json()
+                }
+                if (suggestionResponse.ok) {
+                    aliasSuggestions.value = await suggestionResponse.json()
+                }
+            } catch (err) {
+                console.error('Alias loading failed:', err)
+            }
+        }
+
+        // Merge a name into a player identity, then refresh every view that depends on names
+        const mergeAlias = async (alias, player) => {
+            aliasError.value = ''
+
+            try {
+                const response = await fetch(`/api/aliases/${encodeURIComponent(alias)}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ player })
+                })
+
+                if (response.ok) {
+                    aliasForm.value = { alias: '', player: '' }
+                    await loadDashboard()
+                } else {
+                    const data = await response.json()
+                    aliasError.value = data.error || t('errors.saveAlias')
+                }
+            } catch (err) {
+                aliasError.value = err.message
+            }
+        }
+
+        const splitAlias = async (alias) => {
+            aliasError.value = ''
+
+            try {
+                const response = await fetch(`/api/aliases/${encodeURIComponent(alias)}`, {
+                    method: 'DELETE'
+                })
+
+                if (response.ok) {
+                    await loadDashboard()
+                } else {
+                    const data = await response.json()
+                    aliasError.value = data.error || t('errors.removeAlias')
+                }
+            } catch (err) {
+                aliasError.value = err.message
+            }
+        }
+
+        const getPlayerRating = (playerName) => {
+            if (!ratings.value || !ratings.value.players[playerName]) return null
+
+            const rating = ratings.value.players[playerName][ratingSystem.value]
+            return rating.games > 0 ? rating : null
+        }
+
+        // Build the points of an SVG polyline scaled to the given size
+        const getLinePoints = (values, width, height, min = Math.min(...values), max = Math.max(...values)) => {
+            if (values.length < 2) return ''
+
+            const range = max - min || 1
+
+            return values
+                .map((value, index) => {
+                    const x = (index / (values.length - 1)) * width
+                    const y = height - ((value - min) / range) * height
+                    return `${x.toFixed(1)},${y.toFixed(1)}`
+                })
+                .join(' ')
+        }
+
+        const getApmCurvePoints = (player, width = 600, height = 160) => {
+            const timeline = player.apm_timeline || []
+            const { minutes, max } = apmCurveScale.value
+
+            // Each value covers one minute, plot it at the middle of that minute
+            return timeline
+                .map((apm, minute) => {
+                    const x = ((minute + 0.5) / minutes) * width
+                    const y = height - (apm / max) * height
+                    return `${x.toFixed(1)},${y.toFixed(1)}`
+                })
+                .join(' ')
+        }
+
+        const getRatingSparkline = (playerName, width = 80, height = 20) => {
+            const rating = getPlayerRating(playerName)
+            if (!rating) return ''
+
+            return getLinePoints(rating.history.map(entry => entry.rating), width, height)
+        }
+
+        const openPlayerProfile = async (playerName) => {
+            selectedPlayer.value = playerName
+            playerProfile.value = null
+            loadingProfile.value = true
+
+            try {
+                const response = await fetch(`/api/players/${encodeURIComponent(playerName)}${getModeQuery()}`)
+
+                if (response.ok) {
+                    playerProfile.value = await response.json()
+                } else {
+                    console.error('Failed to load player profile')
+                }
+            } catch (err) {
+                console.error('Player profile loading failed:', err)
+            } finally {
+                loadingProfile.value = false
+            }
+        }
+
+        const closePlayerProfile = () => {
+            selectedPlayer.value = null
+            playerProfile.value = null
+        }
+
+        const openProfileGame = (game) => {
+            closePlayerProfile()
+            selectedFile.value = {
+                name: game.name,
+                path: game.path,
+                size: game.size
+            }
+            analyzeFile()
         }
 
         // Dashboard utility functions
@@ -308,6 +1277,7 @@ createApp({
                     
                     return {
                         name,
+                        computer: stats.computer,
                         wins: stats.wins,
                         losses: stats.losses,
                         totalGames,
@@ -323,6 +1293,9 @@ createApp({
                 })
         }
 
+        // Rankings without the AI pseudo-players, which have no hotkeys or heroes to show
+        const getHumanRankings = () => getPlayerRankings().filter(player => !player.computer)
+
         const getPlayerRaceStats = (playerName) => {
             if (!dashboardStats.value || !dashboardStats.value.playerStats[playerName]) return []
             
@@ -336,7 +1309,8 @@ createApp({
                         wins: stats.wins,
                         losses: stats.losses,
                         games: totalGames,
-                        winRate: parseFloat(winRate)
+                        winRate: parseFloat(winRate),
+                        milestones: stats.milestones
                     }
                 })
                 .sort((a, b) => b.games - a.games)
@@ -397,9 +1371,39 @@ createApp({
             }))
         }
 
+        // Head-to-head / teammate record of a player pair for the matrix view
+        const getPairRecord = (playerName, otherName) => {
+            if (!dashboardStats.value || !dashboardStats.value.pairwise) return null
+
+            const records = dashboardStats.value.pairwise[pairwiseMode.value][playerName]
+            if (!records || !records[otherName]) return null
+
+            const record = records[otherName]
+            const games = record.wins + record.losses
+            return {
+                ...record,
+                games,
+                winRate: games > 0 ? parseFloat(((record.wins / games) * 100).toFixed(1)) : 0
+            }
+        }
+
+        const getPairTooltip = (playerName, otherName) => {
+            const record = getPairRecord(playerName, otherName)
+            if (!record) return ''
+
+            const pair = t(pairwiseMode.value === 'versus' ? 'pairwise.tooltipVersus' : 'pairwise.tooltipWith', { player: playerName, other: otherName })
+            const lines = [`${pair}: ${t('pairwise.record', record)} (${record.winRate}%)`]
+            if (record.matchups) {
+                Object.entries(record.matchups).forEach(([matchup, result]) => {
+                    lines.push(`${matchup}: ${t('pairwise.record', result)}`)
+                })
+            }
+            return lines.join('\n')
+        }
+
         // Utility functions
         const getMapName = (mapPath) => {
-            if (!mapPath) return 'Unknown'
+            if (!mapPath) return t('common.unknown')
             return mapPath.split('\\').pop().replace('.w3x', '')
         }
 
@@ -432,13 +1436,19 @@ createApp({
         }
 
         const getTeamName = (teamId) => {
-            if (teamId === 12) return 'Observer'
-            return `Team ${teamId + 1}`
+            if (teamId === 12) return t('team.observer')
+            return t('team.name', { number: teamId + 1 })
         }
 
         const getWinnerTeamName = (winnerTeamId) => {
+            // The resolved result takes precedence over the parser's winner_team
+            if (gameResult.value) {
+                if (gameResult.value.outcome === 'draw') return t('result.draw')
+                winnerTeamId = gameResult.value.winnerTeam
+            }
+
             if (!analysisData.value || !analysisData.value.teams || winnerTeamId === null || winnerTeamId === undefined) {
-                return 'Unknown'
+                return t('result.unknown')
             }
             
             // Find any player from the winning team to verify the team exists
@@ -457,15 +1467,16 @@ createApp({
                 return getTeamName(winnerTeamId)
             }
             
-            return 'Unknown'
+            return t('result.unknown')
         }
 
         const getWinners = () => {
-            if (!analysisData.value || !analysisData.value.teams || analysisData.value.game.winner_team === null || analysisData.value.game.winner_team === undefined) {
+            const winnerTeamId = gameResult.value ? gameResult.value.winnerTeam : analysisData.value && analysisData.value.game.winner_team
+
+            if (!analysisData.value || !analysisData.value.teams || winnerTeamId === null || winnerTeamId === undefined) {
                 return []
             }
             
-            const winnerTeamId = analysisData.value.game.winner_team
             const winners = []
             
             // Find all players on the winning team
@@ -536,6 +1547,71 @@ createApp({
             return abilityList.sort((a, b) => b.level - a.level) // Sort by level descending
         }
 
+        // Skills in the order they were learned - every pick is one hero level
+        const getSkillBuild = (abilities) => {
+            if (!abilities || !abilities.order) return []
+
+            return Object.entries(abilities.order)
+                .map(([time, ability]) => ({ time: parseInt(time, 10), ability }))
+                .sort((a, b) => a.time - b.time)
+                .map((pick, index) => ({ ...pick, level: index + 1 }))
+        }
+
+        const openHeroStats = async (heroName) => {
+            selectedHero.value = heroName
+            heroStats.value = null
+            loadingHeroStats.value = true
+
+            try {
+                const response = await fetch(`/api/heroes/${encodeURIComponent(heroName)}${getModeQuery()}`)
+
+                if (response.ok) {
+                    heroStats.value = await response.json()
+                } else {
+                    console.error('Failed to load hero statistics')
+                }
+            } catch (err) {
+                console.error('Hero statistics loading failed:', err)
+            } finally {
+                loadingHeroStats.value = false
+            }
+        }
+
+        const closeHeroStats = () => {
+            selectedHero.value = null
+            heroStats.value = null
+        }
+
+        // Control groups 0-9 as the keys 1-9 and 0 they are bound to
+        const getControlGroups = (player) => {
+            const hotkeys = player.hotkeys || {}
+
+            return Array.from({ length: 10 }, (_, group) => {
+                const entry = hotkeys[group] || {}
+                return {
+                    group,
+                    key: (group + 1) % 10,
+                    assigned: entry.assigned || 0,
+                    used: entry.used || 0,
+                    size: entry.last_totalitems || 0
+                }
+            })
+        }
+
+        // Share of selections made through group hotkeys instead of clicks
+        const getHotkeyRatio = (player) => {
+            const details = player.actions_details || {}
+            const hotkeySelects = details['Select group hotkey'] || 0
+            const total = hotkeySelects + (details['Select / deselect'] || 0)
+
+            return total > 0 ? Math.round((hotkeySelects / total) * 100) : 0
+        }
+
+        const getHeatColor = (value, max) => {
+            if (!value) return 'transparent'
+            return `rgba(88, 166, 255, ${(0.15 + 0.85 * Math.min(1, value / max)).toFixed(2)})`
+        }
+
         const getFilteredBuildings = (buildings) => {
             if (!buildings) return {}
             const filtered = { ...buildings }
@@ -622,6 +1698,35 @@ createApp({
             // but we keep this method for consistency with the template
         }
 
+        // Live updates pushed by the server when new replays are ingested
+        const showLiveNotice = (message) => {
+            liveNotice.value = message
+            clearTimeout(liveNoticeTimer)
+            liveNoticeTimer = setTimeout(() => {
+                liveNotice.value = ''
+            }, 5000)
+        }
+
+        const connectEvents = () => {
+            eventSource = new EventSource('/api/events')
+
+            eventSource.addEventListener('job', (event) => {
+                updateConversionJob(JSON.parse(event.data))
+            })
+
+            eventSource.addEventListener('replay', (event) => {
+                const data = JSON.parse(event.data)
+                showLiveNotice(`📥 ${t('live.newReplay', { name: data.name })}`)
+
+                if (showModal.value) {
+                    loadDirectory(currentPath.value)
+                }
+                if (!selectedFile.value) {
+                    loadDashboard()
+                }
+            })
+        }
+
         // Handle ESC key to close modal
         const handleKeydown = (event) => {
             if (event.key === 'Escape' && showModal.value && !isClosing.value) {
@@ -633,6 +1738,7 @@ createApp({
         onMounted(() => {
             loadDirectory()
             loadDashboard()
+            connectEvents()
             document.addEventListener('keydown', handleKeydown)
         })
 
@@ -640,6 +1746,9 @@ createApp({
         onUnmounted(() => {
             document.removeEventListener('keydown', handleKeydown)
             document.body.classList.remove('modal-open')
+            if (eventSource) {
+                eventSource.close()
+            }
         })
 
         // Return reactive data and methods for template
@@ -659,12 +1768,81 @@ createApp({
             showConversionReport,
             dashboardStats,
             loadingDashboard,
+            ratings,
+            ratingSystem,
+            pairwiseMode,
+            selectedPlayer,
+            playerProfile,
+            loadingProfile,
+            liveNotice,
+            uploading,
+            uploadResult,
+            dragActive,
             selectedAction,
+            timelineData,
+            loadingTimeline,
+            timelineZoom,
+            timelineZoomLevels,
+            timelineCategories,
+            timelineCategoryOptions,
+            gameModes,
+            locale,
+            localeNames,
+            t,
+            timelineRows,
             breadcrumbParts,
             filteredItems,
+            displayedItems,
+            chatLog,
+            loadingChat,
+            gameResult,
+            resultOverride,
+            savingResult,
+            chatStats,
+            chatQuery,
+            chatResults,
+            searchingChat,
+            dashboardTab,
+            dashboardMode,
+            changeDashboardMode,
+            mapStats,
+            loadingMaps,
+            sessions,
+            replayProblems,
+            loadingProblems,
+            replayDiagnosis,
+            getProblemCount,
+            loadingSessions,
+            selectedSession,
+            sessionReport,
+            loadingSessionReport,
+            selectedHero,
+            heroStats,
+            loadingHeroStats,
+            pickingCompare,
+            compareFile,
+            compareData,
+            loadingCompare,
+            compareMetric,
+            compareMetrics,
+            controlGroupMax,
+            apmCurveScale,
+            hotkeyHabitMax,
+            milestoneKeys,
+            aliasData,
+            aliasSuggestions,
+            aliasForm,
+            aliasError,
+            librarySearch,
+            searching,
+            searchResults,
+            searchFilters,
             activePlayers,
             availableActions,
             loadDirectory,
+            searchLibrary,
+            setLibrarySearch,
+            resetSearchFilters,
             formatFileSize,
             formatDate,
             downloadFile,
@@ -673,24 +1851,73 @@ createApp({
             closeModal,
             openModal,
             analyzeFile,
+            loadTimeline,
+            zoomTimeline,
+            toggleTimelineCategory,
             selectNewFile,
+            openCompareModal,
+            compareWith,
+            clearCompare,
+            getCompareValue,
+            getCompareBarHeight,
+            getCompareRows,
+            formatTimeDiff,
+            getMilestoneBadges,
             exportAnalysis,
             convertAllFiles,
+            isJobFinished,
+            getJobProgress,
+            cancelConversionJob,
+            retryConversion,
+            uploadFiles,
+            handleDrop,
+            handleFileInput,
             closeConversionReport,
             loadDashboard,
+            loadRatings,
+            loadAliases,
+            mergeAlias,
+            splitAlias,
+            getPlayerRating,
+            getLinePoints,
+            getApmCurvePoints,
+            getRatingSparkline,
+            openPlayerProfile,
+            closePlayerProfile,
+            openProfileGame,
             getPlayerRankings,
+            getHumanRankings,
             getPlayerRaceStats,
             getPlayerHeroStats,
+            getPairRecord,
+            getPairTooltip,
             getMapName,
             formatGameTime,
             getPlayerColor,
             getTeamName,
+            getResultText,
+            getResultLetter,
+            getResultClass,
+            getGameTeamIds,
+            saveResultOverride,
             getWinnerTeamName,
             getWinners,
             getFilteredUnits,
             getTotalUnits,
             getFilteredHeroes,
             getAbilityCount,
+            getSkillBuild,
+            getControlGroups,
+            getHotkeyRatio,
+            getHeatColor,
+            openHeroStats,
+            showDashboardTab,
+            searchChat,
+            openSession,
+            getSessionReportUrl,
+            formatDateTime,
+            getWinRateRows,
+            closeHeroStats,
             getHeroAbilities,
             getFilteredBuildings,
             getTotalBuildings,
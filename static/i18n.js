@@ -0,0 +1,750 @@
+// Interface messages by locale, app.js looks them up through t(key, params)
+// {name} placeholders are filled from params, missing messages fall back to English
+const UI_MESSAGES = {
+    en: {
+        'app.title': 'Replay Analyzer',
+        'app.subtitle': 'Analyze your Warcraft III replay files',
+        'app.selectReplay': 'Select Replay File',
+        'app.converting': 'Converting...',
+        'app.convertFiles': 'Convert W3G Files',
+        'app.language': 'Language',
+        'profile.games': '{count} games',
+        'profile.record': '{wins}W - {losses}L',
+        'profile.averageLength': 'avg length {duration}',
+        'profile.averageApm': 'avg {apm} APM',
+        'profile.back': 'Back to Dashboard',
+        'profile.loading': 'Loading player profile...',
+        'profile.noGames': 'No games found for this player',
+        'profile.winRateOverTime': 'Win Rate Over Time',
+        'profile.cumulativeWinRate': 'Cumulative win rate (guide at 50%)',
+        'profile.apmTrend': 'APM Trend',
+        'profile.apmMin': '{apm} min',
+        'profile.apmPerGame': 'APM per game',
+        'profile.apmMax': '{apm} max',
+        'profile.phaseApm': '{phase} game: {apm}',
+        'profile.openers': 'Favorite Openers',
+        'profile.firstHeroes': 'First Hero Picks',
+        'profile.pickRate': '{rate}% of games ({games})',
+        'profile.items': 'Item Usage',
+        'profile.usedInGames': 'used in {count} games',
+        'profile.replays': 'Replays',
+        'phase.early': 'early',
+        'phase.mid': 'mid',
+        'phase.late': 'late',
+        'common.apmValue': '{apm} APM',
+        'common.games': '{count} games',
+        'dashboard.title': 'Games Dashboard',
+        'dashboard.statisticsFrom': 'Statistics from {count} analyzed games',
+        'dashboard.notCounted': '({count} not counted)',
+        'dashboard.duplicatesTitle': 'Matches saved by several players count once',
+        'dashboard.duplicatesMerged': '({count} duplicate recordings merged)',
+        'dashboard.refresh': 'Refresh Stats',
+        'dashboard.allModes': 'All game modes',
+        'mode.1v1': '1v1',
+        'mode.2v2': '2v2',
+        'mode.3v3': '3v3',
+        'mode.4v4': '4v4',
+        'mode.ffa': 'Free for all',
+        'mode.vs-ai': 'vs AI',
+        'mode.custom': 'Custom',
+        'dashboard.tabPlayers': 'Players',
+        'dashboard.tabMaps': 'Maps',
+        'dashboard.tabSessions': 'Sessions',
+        'dashboard.tabChat': 'Chat',
+        'dashboard.tabProblems': 'Problems',
+        'dashboard.loading': 'Loading dashboard statistics...',
+        'dashboard.noStats': 'No game statistics available',
+        'dashboard.noStatsHint': 'Convert some W3G files to JSON to see dashboard statistics',
+        'rankings.title': 'Player Rankings',
+        'rankings.ratingSystem': 'Rating System:',
+        'rankings.trueskill': 'TrueSkill (team games)',
+        'rankings.elo': 'Elo (1v1 games)',
+        'rankings.rank': 'Rank',
+        'rankings.player': 'Player',
+        'rankings.games': 'Games',
+        'rankings.wins': 'Wins',
+        'rankings.losses': 'Losses',
+        'rankings.winRate': 'Win Rate',
+        'rankings.rating': 'Rating',
+        'rankings.computerTitle': 'Computer players are counted by difficulty',
+        'rankings.ratedGames': '{count} rated games',
+        'pairwise.title': 'Head-to-Head & Teammates',
+        'pairwise.show': 'Show:',
+        'pairwise.versus': 'Record against opponent',
+        'pairwise.partners': 'Record with teammate',
+        'races.title': 'Race Performance',
+        'races.averageMilestone': 'Average {label}',
+        'hotkeys.title': 'Hotkey Habits',
+        'hotkeys.player': 'Player',
+        'hotkeys.groupsPerGame': 'Groups / Game',
+        'hotkeys.selects': 'Hotkey Selects',
+        'hotkeys.selectsPerMinute': 'Selects / Min',
+        'hotkeys.usesPerGame': '{count} uses per game',
+        'aliases.title': 'Player Aliases',
+        'aliases.nameToMerge': 'Name to merge...',
+        'aliases.nameGames': '{name} ({count} games)',
+        'aliases.mainPlayer': 'Main player name',
+        'aliases.merge': 'Merge',
+        'aliases.current': 'Current Aliases',
+        'aliases.split': 'Split',
+        'aliases.none': 'No aliases defined',
+        'aliases.suggested': 'Suggested Aliases',
+        'aliases.suggestionDetails': 'never in the same game · race match {race}% · hero match {hero}%',
+        'aliases.noSuggestions': 'No suggestions',
+        'heroes.favorites': 'Favorite Heroes',
+        'heroes.winRateShort': '{rate}% WR',
+        'maps.loading': 'Loading map statistics...',
+        'maps.summary': '{count} games · avg length {duration}',
+        'maps.startSpots': ' · {count} start positions',
+        'maps.raceWinRates': 'Race Win Rates',
+        'maps.slotWinRates': 'Slot Win Rates',
+        'maps.popularHeroes': 'Popular Heroes',
+        'maps.none': 'No map statistics available',
+        'sessions.detecting': 'Detecting sessions...',
+        'sessions.title': 'Session {id}',
+        'sessions.loadingReport': 'Loading session report...',
+        'sessions.mvp': 'MVP',
+        'sessions.mvpRecord': '{wins} wins · {apm} APM',
+        'sessions.winContribution': 'Win contribution {value}',
+        'sessions.longestGame': 'Longest Game',
+        'sessions.racePicks': 'Race Picks',
+        'sessions.player': 'Player',
+        'sessions.games': 'Games',
+        'sessions.record': 'W-L',
+        'sessions.winRate': 'Win Rate',
+        'sessions.averageApm': 'Avg APM',
+        'sessions.winContributionHeader': 'Win Contribution',
+        'sessions.game': 'Game',
+        'sessions.map': 'Map',
+        'sessions.matchup': 'Matchup',
+        'sessions.duration': 'Duration',
+        'sessions.winners': 'Winners',
+        'sessions.downloadHtml': 'Download HTML',
+        'sessions.downloadMarkdown': 'Download Markdown',
+        'sessions.summary': '{count} games · {players}',
+        'sessions.none': 'No sessions found',
+        'problems.loading': 'Loading replay problems...',
+        'problems.failedTitle': 'Failed Replays',
+        'problems.failedHint': 'These replays couldn\'t be converted, those without an earlier analysis are missing from every statistic.',
+        'problems.noFailures': 'No failed replays',
+        'problems.usingEarlierAnalysis': 'Using earlier analysis',
+        'problems.length': '{duration} long',
+        'problems.readable': 'Readable:',
+        'problems.blocks': '{read} / {total} data blocks',
+        'problems.playerActions': '{name} · {count} actions',
+        'problems.excludedTitle': 'Games Not Counted',
+        'problems.excludedHint': 'These games were analyzed but are left out of every statistic.',
+        'problems.allCounted': 'Every analyzed game is counted',
+        'problems.replay': 'Replay',
+        'problems.map': 'Map',
+        'problems.duration': 'Duration',
+        'problems.reason': 'Reason',
+        'failure.invalid': 'Not a replay',
+        'failure.unsupported': 'Unsupported version',
+        'failure.truncated': 'Truncated',
+        'failure.decompression': 'Corrupt',
+        'failure.parser': 'Parse error',
+        'chat.searchTitle': 'Chat Search',
+        'chat.messageText': 'Message text',
+        'chat.anyPlayer': 'Any player',
+        'chat.search': 'Search',
+        'chat.messages': '{count} messages',
+        'chat.showingLatest': '(showing the latest {count})',
+        'chat.channel.all': 'all',
+        'chat.channel.allies': 'allies',
+        'chat.channel.observers': 'observers',
+        'chat.channel.private': 'private',
+        'chat.statsTitle': 'Chat Statistics',
+        'chat.player': 'Player',
+        'chat.games': 'Games',
+        'chat.messagesHeader': 'Messages',
+        'chat.perGame': 'Per Game',
+        'chat.saidGg': 'Said "gg"',
+        'chat.earlySurrenders': 'Early Surrenders',
+        'file.title': 'File Information',
+        'file.name': 'File Name:',
+        'file.size': 'File Size:',
+        'file.path': 'Path:',
+        'game.title': 'Game Information',
+        'game.winners': 'Winners:',
+        'game.result': 'Result:',
+        'game.noEvidence': 'no evidence',
+        'result.confidence.high': 'high',
+        'result.confidence.medium': 'medium',
+        'result.confidence.low': 'low',
+        'result.confidence.manual': 'manual',
+        'result.auto': 'Auto',
+        'result.teamWon': '{team} won',
+        'result.draw': 'Draw',
+        'result.unknown': 'Unknown',
+        'game.map': 'Map:',
+        'game.players': 'Players:',
+        'game.duration': 'Duration:',
+        'game.speed': 'Game Speed:',
+        'game.version': 'Version:',
+        'game.status': 'Status:',
+        'game.analyzing': 'Analyzing...',
+        'game.analyze': 'Analyze File',
+        'game.statistics': 'Statistics:',
+        'game.notCounted': 'Not counted: {reason}',
+        'game.problem': 'Problem:',
+        'game.readablePart': '{readable} of {total}',
+        'game.playerActions': '{name} ({count} actions)',
+        'players.title': 'Player Analysis',
+        'players.apm': 'APM:',
+        'players.actions': 'Actions:',
+        'players.team': 'Team:',
+        'players.army': 'Army Composition',
+        'players.totalUnits': 'Total Units: {count}',
+        'players.heroes': 'Heroes',
+        'players.heroStatsHint': 'Library skill build stats',
+        'players.revivals': 'Revivals:',
+        'players.retrainingTime': 'Retraining Time:',
+        'players.abilities': 'Abilities:',
+        'players.skillBuild': 'Skill Build:',
+        'players.buildings': 'Buildings',
+        'players.totalBuildings': 'Total Buildings: {count}',
+        'players.items': 'Items',
+        'players.totalItems': 'Total Items: {count}',
+        'heroStats.title': '{hero} Skill Builds',
+        'heroStats.loading': 'Loading hero statistics...',
+        'heroStats.empty': 'No statistics available for this hero',
+        'heroStats.summary': '{games} games · {winRate}% win rate · avg level {level} · avg {revivals} revivals',
+        'heroStats.builds': 'Most Common Skill Builds',
+        'heroStats.levels': 'Level Progression',
+        'heroStats.level': 'Level {level}',
+        'heroStats.reachedIn': 'reached in {count} games',
+        'heroStats.playedBy': 'Played By',
+        'heroStats.close': 'Close Hero Statistics',
+        'actions.title': 'Action Details Comparison',
+        'actions.selectType': 'Select Action Type:',
+        'actions.comparison': '{action} Comparison',
+        'apmCurve.title': 'APM Over Time',
+        'apmCurve.scale': '{minutes}:00 · max {max} APM',
+        'controlGroups.title': 'Control Groups',
+        'controlGroups.player': 'Player',
+        'controlGroups.hotkeySelects': 'Hotkey Selects',
+        'controlGroups.cellTitle': 'Used {used}× · assigned {assigned}× · last size {size}',
+        'controlGroups.units': '{count} units',
+        'timeline.title': 'Build Order Timeline',
+        'category.buildings': 'buildings',
+        'category.upgrades': 'upgrades',
+        'category.heroes': 'heroes',
+        'category.units': 'units',
+        'category.items': 'items',
+        'timeline.perRow': '{seconds}s per row',
+        'timeline.loading': 'Loading timeline...',
+        'timeline.unavailable': 'Timeline is not available for this replay',
+        'timeline.time': 'Time',
+        'timeline.noEvents': 'No events for the selected categories',
+        'chatLog.title': 'Chat Log',
+        'chatLog.loading': 'Loading chat...',
+        'chatLog.empty': 'No chat messages in this game',
+        'compare.title': 'Replay Comparison',
+        'compare.loading': 'Comparing replays...',
+        'compare.unavailable': 'Comparison is not available for these replays',
+        'compare.map': 'Map: {map}',
+        'compare.matchup': 'Matchup: {matchup}',
+        'compare.duration': 'Duration: {duration}',
+        'compare.close': 'Close Comparison',
+        'compare.chartTitle': '{metric} — 🅰️ solid vs 🅱️ faded',
+        'compare.milestone': 'Milestone',
+        'summary.title': 'Game Summary',
+        'summary.matchResult': 'Match Result',
+        'summary.winner': 'Winner: {team}',
+        'summary.gameType': 'Game Type: {type}',
+        'summary.creator': 'Creator: {creator}',
+        'summary.settings': 'Game Settings',
+        'summary.speed': 'Speed: {speed}',
+        'summary.visibility': 'Visibility: {visibility}',
+        'summary.teamsLocked': 'Teams Locked: {value}',
+        'summary.randomHero': 'Random Hero: {value}',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.unknown': 'Unknown',
+        'actionsBar.download': 'Download Replay',
+        'actionsBar.selectDifferent': 'Select Different File',
+        'actionsBar.export': 'Export Analysis',
+        'actionsBar.compare': 'Compare With...',
+        'browser.selectCompare': 'Select Replay to Compare',
+        'browser.selectFile': 'Select Replay File',
+        'browser.title': 'Browse Replay Files',
+        'browser.subtitle': 'Choose a .w3g file to analyze',
+        'upload.uploading': 'Uploading...',
+        'upload.hint': 'Drop .w3g files or a zipped session folder here, or click to upload',
+        'upload.uploaded': '{count} uploaded',
+        'upload.duplicates': '{count} already in library',
+        'upload.rejected': '{count} rejected',
+        'browser.currentFolder': 'Current Folder',
+        'browser.wholeLibrary': 'Whole Library',
+        'browser.searchFolder': 'Search in current folder...',
+        'search.player': 'Player',
+        'search.anyRace': 'Any race',
+        'search.hero': 'Hero',
+        'search.map': 'Map',
+        'search.gameType': 'Game type',
+        'search.anyMode': 'Any mode',
+        'search.players': 'Players',
+        'search.minMinutes': 'Min minutes',
+        'search.maxMinutes': 'Max minutes',
+        'search.from': 'From date',
+        'search.to': 'To date',
+        'search.winner': 'Winner',
+        'search.minApm': 'Min APM',
+        'search.maxApm': 'Max APM',
+        'search.sortDate': 'Sort by date',
+        'search.sortDuration': 'Sort by duration',
+        'search.sortMap': 'Sort by map',
+        'search.sortPlayers': 'Sort by players',
+        'search.desc': 'Descending',
+        'search.asc': 'Ascending',
+        'search.searching': 'Searching...',
+        'search.search': 'Search',
+        'search.reset': 'Reset',
+        'browser.loading': 'Loading replay files...',
+        'search.noMatches': 'No replays match these filters',
+        'browser.empty': 'No folders or .w3g files found in this directory',
+        'search.found': '{count} replays found across all folders',
+        'browser.folder': 'Folder',
+        'browser.cached': 'Cached',
+        'browser.notCounted': 'Not counted',
+        'browser.players': '{count} Players',
+        'browser.savedBy': 'Saved by {savers}',
+        'browser.countedCopy': 'Counted copy of {count} recordings',
+        'browser.duplicate': 'Duplicate recording, stats use {path}',
+        'browser.playersLabel': 'Players:',
+        'browser.winnersLabel': 'Winners:',
+        'browser.open': 'Open',
+        'browser.selected': 'Selected',
+        'browser.select': 'Select',
+        'search.previous': 'Previous',
+        'search.page': 'Page {page} of {total}',
+        'search.next': 'Next',
+        'report.converting': 'Converting…',
+        'report.cancelled': 'Conversion Cancelled',
+        'report.complete': 'Conversion Complete',
+        'report.failed': 'Conversion Failed',
+        'report.progress': '{processed} / {total} files ({percent}%)',
+        'report.totalFiles': 'Total Files',
+        'report.converted': 'Converted',
+        'report.skipped': 'Skipped',
+        'report.errors': 'Errors',
+        'report.failedFiles': 'Failed Files',
+        'report.retryAll': 'Retry All',
+        'report.retry': 'Retry',
+        'report.infoJson': 'JSON files are created alongside W3G files for faster analysis',
+        'report.infoFaster': 'Future analysis will be much faster using cached JSON data',
+        'report.infoSkipped': 'Files are automatically skipped if JSON is up to date',
+        'report.errorDetails': 'Error Details',
+        'report.solutions': 'Possible Solutions:',
+        'report.solutionValid': 'Check if W3G files are valid and not corrupted',
+        'report.solutionPermissions': 'Ensure you have write permissions in the directory',
+        'report.solutionIndividual': 'Try converting individual files to identify problematic ones',
+        'report.solutionLogs': 'Check server logs for detailed error information',
+        'report.cancel': 'Cancel',
+        'report.gotIt': 'Got it',
+        'report.tryAgain': 'Try Again',
+        'pairwise.tooltipVersus': '{player} vs {other}',
+        'pairwise.tooltipWith': '{player} with {other}',
+        'pairwise.record': '{wins}W - {losses}L',
+        'result.letter.win': 'W',
+        'result.letter.loss': 'L',
+        'result.letter.draw': 'D',
+        'team.name': 'Team {number}',
+        'team.observer': 'Observer',
+        'milestone.firstHero': 'First Hero',
+        'milestone.firstHeroShort': 'Hero',
+        'milestone.tier2': 'Tier 2',
+        'milestone.tier2Short': 'T2',
+        'milestone.expansion': 'First Expansion',
+        'milestone.expansionShort': 'Exp',
+        'milestone.secondHero': 'Second Hero',
+        'milestone.secondHeroShort': '2nd Hero',
+        'milestone.tier3': 'Tier 3',
+        'milestone.tier3Short': 'T3',
+        'errors.loadDirectory': 'Failed to load directory',
+        'errors.network': 'Network error: {message}',
+        'errors.search': 'Search failed',
+        'errors.conversion': 'Conversion failed',
+        'errors.upload': 'Upload failed',
+        'errors.saveAlias': 'Failed to save alias',
+        'errors.removeAlias': 'Failed to remove alias',
+        'report.cancelledMessage': 'Conversion cancelled',
+        'report.completedMessage': 'Conversion process completed',
+        'report.retryingMessage': 'Retrying failed files',
+        'live.newReplay': 'New replay analyzed: {name}'
+    },
+    zh: {
+        'app.title': '录像分析器',
+        'app.subtitle': '分析你的魔兽争霸 III 录像文件',
+        'app.selectReplay': '选择录像文件',
+        'app.converting': '转换中...',
+        'app.convertFiles': '转换 W3G 文件',
+        'app.language': '语言',
+        'profile.games': '{count} 场比赛',
+        'profile.record': '{wins} 胜 - {losses} 负',
+        'profile.averageLength': '平均时长 {duration}',
+        'profile.averageApm': '平均 {apm} APM',
+        'profile.back': '返回统计面板',
+        'profile.loading': '正在加载玩家资料...',
+        'profile.noGames': '没有找到该玩家的比赛',
+        'profile.winRateOverTime': '胜率变化',
+        'profile.cumulativeWinRate': '累计胜率(参考线为 50%)',
+        'profile.apmTrend': 'APM 趋势',
+        'profile.apmMin': '最低 {apm}',
+        'profile.apmPerGame': '每场 APM',
+        'profile.apmMax': '最高 {apm}',
+        'profile.phaseApm': '{phase}期: {apm}',
+        'profile.openers': '常用开局',
+        'profile.firstHeroes': '首发英雄',
+        'profile.pickRate': '{rate}% 的比赛({games})',
+        'profile.items': '物品使用',
+        'profile.usedInGames': '在 {count} 场比赛中使用',
+        'profile.replays': '录像',
+        'phase.early': '前',
+        'phase.mid': '中',
+        'phase.late': '后',
+        'common.apmValue': '{apm} APM',
+        'common.games': '{count} 场',
+        'dashboard.title': '比赛统计面板',
+        'dashboard.statisticsFrom': '统计来自 {count} 场已分析的比赛',
+        'dashboard.notCounted': '({count} 场未计入)',
+        'dashboard.duplicatesTitle': '多名玩家保存的同一场比赛只计一次',
+        'dashboard.duplicatesMerged': '(已合并 {count} 份重复录像)',
+        'dashboard.refresh': '刷新统计',
+        'dashboard.allModes': '所有游戏模式',
+        'mode.1v1': '1v1',
+        'mode.2v2': '2v2',
+        'mode.3v3': '3v3',
+        'mode.4v4': '4v4',
+        'mode.ffa': '混战',
+        'mode.vs-ai': '对战电脑',
+        'mode.custom': '自定义',
+        'dashboard.tabPlayers': '玩家',
+        'dashboard.tabMaps': '地图',
+        'dashboard.tabSessions': '场次',
+        'dashboard.tabChat': '聊天',
+        'dashboard.tabProblems': '问题',
+        'dashboard.loading': '正在加载统计数据...',
+        'dashboard.noStats': '暂无比赛统计',
+        'dashboard.noStatsHint': '将 W3G 文件转换为 JSON 后即可查看统计',
+        'rankings.title': '玩家排名',
+        'rankings.ratingSystem': '评分系统:',
+        'rankings.trueskill': 'TrueSkill(团队赛)',
+        'rankings.elo': 'Elo(1v1 比赛)',
+        'rankings.rank': '排名',
+        'rankings.player': '玩家',
+        'rankings.games': '场数',
+        'rankings.wins': '胜',
+        'rankings.losses': '负',
+        'rankings.winRate': '胜率',
+        'rankings.rating': '评分',
+        'rankings.computerTitle': '电脑玩家按难度统计',
+        'rankings.ratedGames': '{count} 场计分比赛',
+        'pairwise.title': '对战与队友',
+        'pairwise.show': '显示:',
+        'pairwise.versus': '对阵对手战绩',
+        'pairwise.partners': '与队友合作战绩',
+        'races.title': '种族表现',
+        'races.averageMilestone': '平均{label}',
+        'hotkeys.title': '快捷键习惯',
+        'hotkeys.player': '玩家',
+        'hotkeys.groupsPerGame': '每场编队数',
+        'hotkeys.selects': '快捷键选择',
+        'hotkeys.selectsPerMinute': '每分钟选择',
+        'hotkeys.usesPerGame': '每场使用 {count} 次',
+        'aliases.title': '玩家别名',
+        'aliases.nameToMerge': '要合并的名字...',
+        'aliases.nameGames': '{name}({count} 场)',
+        'aliases.mainPlayer': '主玩家名',
+        'aliases.merge': '合并',
+        'aliases.current': '当前别名',
+        'aliases.split': '拆分',
+        'aliases.none': '尚未定义别名',
+        'aliases.suggested': '建议的别名',
+        'aliases.suggestionDetails': '从未同场 · 种族相似 {race}% · 英雄相似 {hero}%',
+        'aliases.noSuggestions': '暂无建议',
+        'heroes.favorites': '常用英雄',
+        'heroes.winRateShort': '胜率 {rate}%',
+        'maps.loading': '正在加载地图统计...',
+        'maps.summary': '{count} 场 · 平均时长 {duration}',
+        'maps.startSpots': ' · {count} 个出生点',
+        'maps.raceWinRates': '种族胜率',
+        'maps.slotWinRates': '位置胜率',
+        'maps.popularHeroes': '热门英雄',
+        'maps.none': '暂无地图统计',
+        'sessions.detecting': '正在识别场次...',
+        'sessions.title': '场次 {id}',
+        'sessions.loadingReport': '正在加载场次报告...',
+        'sessions.mvp': 'MVP',
+        'sessions.mvpRecord': '{wins} 胜 · {apm} APM',
+        'sessions.winContribution': '胜利贡献 {value}',
+        'sessions.longestGame': '最长比赛',
+        'sessions.racePicks': '种族选择',
+        'sessions.player': '玩家',
+        'sessions.games': '场数',
+        'sessions.record': '胜-负',
+        'sessions.winRate': '胜率',
+        'sessions.averageApm': '平均 APM',
+        'sessions.winContributionHeader': '胜利贡献',
+        'sessions.game': '比赛',
+        'sessions.map': '地图',
+        'sessions.matchup': '对阵',
+        'sessions.duration': '时长',
+        'sessions.winners': '胜者',
+        'sessions.downloadHtml': '下载 HTML',
+        'sessions.downloadMarkdown': '下载 Markdown',
+        'sessions.summary': '{count} 场 · {players}',
+        'sessions.none': '没有找到场次',
+        'problems.loading': '正在加载录像问题...',
+        'problems.failedTitle': '转换失败的录像',
+        'problems.failedHint': '这些录像无法转换,没有早先分析结果的录像不会出现在任何统计中。',
+        'problems.noFailures': '没有转换失败的录像',
+        'problems.usingEarlierAnalysis': '使用早先的分析结果',
+        'problems.length': '时长 {duration}',
+        'problems.readable': '可读取:',
+        'problems.blocks': '{read} / {total} 个数据块',
+        'problems.playerActions': '{name} · {count} 次操作',
+        'problems.excludedTitle': '未计入的比赛',
+        'problems.excludedHint': '这些比赛已分析,但不计入任何统计。',
+        'problems.allCounted': '所有已分析的比赛都已计入',
+        'problems.replay': '录像',
+        'problems.map': '地图',
+        'problems.duration': '时长',
+        'problems.reason': '原因',
+        'failure.invalid': '不是录像文件',
+        'failure.unsupported': '不支持的版本',
+        'failure.truncated': '文件不完整',
+        'failure.decompression': '文件损坏',
+        'failure.parser': '解析错误',
+        'chat.searchTitle': '聊天搜索',
+        'chat.messageText': '消息内容',
+        'chat.anyPlayer': '任意玩家',
+        'chat.search': '搜索',
+        'chat.messages': '{count} 条消息',
+        'chat.showingLatest': '(显示最新 {count} 条)',
+        'chat.channel.all': '所有人',
+        'chat.channel.allies': '盟友',
+        'chat.channel.observers': '观察者',
+        'chat.channel.private': '私聊',
+        'chat.statsTitle': '聊天统计',
+        'chat.player': '玩家',
+        'chat.games': '场数',
+        'chat.messagesHeader': '消息数',
+        'chat.perGame': '每场',
+        'chat.saidGg': '说过 "gg"',
+        'chat.earlySurrenders': '提前认输',
+        'file.title': '文件信息',
+        'file.name': '文件名:',
+        'file.size': '文件大小:',
+        'file.path': '路径:',
+        'game.title': '比赛信息',
+        'game.winners': '胜者:',
+        'game.result': '结果:',
+        'game.noEvidence': '无依据',
+        'result.confidence.high': '高',
+        'result.confidence.medium': '中',
+        'result.confidence.low': '低',
+        'result.confidence.manual': '手动',
+        'result.auto': '自动',
+        'result.teamWon': '{team} 获胜',
+        'result.draw': '平局',
+        'result.unknown': '未知',
+        'game.map': '地图:',
+        'game.players': '玩家数:',
+        'game.duration': '时长:',
+        'game.speed': '游戏速度:',
+        'game.version': '版本:',
+        'game.status': '状态:',
+        'game.analyzing': '分析中...',
+        'game.analyze': '分析文件',
+        'game.statistics': '统计:',
+        'game.notCounted': '未计入:{reason}',
+        'game.problem': '问题:',
+        'game.readablePart': '{readable} / {total}',
+        'game.playerActions': '{name}({count} 次操作)',
+        'players.title': '玩家分析',
+        'players.apm': 'APM:',
+        'players.actions': '操作数:',
+        'players.team': '队伍:',
+        'players.army': '部队构成',
+        'players.totalUnits': '单位总数:{count}',
+        'players.heroes': '英雄',
+        'players.heroStatsHint': '录像库技能加点统计',
+        'players.revivals': '复活次数:',
+        'players.retrainingTime': '重修时间:',
+        'players.abilities': '技能:',
+        'players.skillBuild': '加点顺序:',
+        'players.buildings': '建筑',
+        'players.totalBuildings': '建筑总数:{count}',
+        'players.items': '物品',
+        'players.totalItems': '物品总数:{count}',
+        'heroStats.title': '{hero} 技能加点',
+        'heroStats.loading': '正在加载英雄统计...',
+        'heroStats.empty': '该英雄暂无统计数据',
+        'heroStats.summary': '{games} 场 · 胜率 {winRate}% · 平均等级 {level} · 平均复活 {revivals} 次',
+        'heroStats.builds': '最常见的技能加点',
+        'heroStats.levels': '等级进度',
+        'heroStats.level': '{level} 级',
+        'heroStats.reachedIn': '{count} 场中达到',
+        'heroStats.playedBy': '使用者',
+        'heroStats.close': '关闭英雄统计',
+        'actions.title': '操作详情对比',
+        'actions.selectType': '选择操作类型:',
+        'actions.comparison': '{action} 对比',
+        'apmCurve.title': 'APM 变化',
+        'apmCurve.scale': '{minutes}:00 · 最高 {max} APM',
+        'controlGroups.title': '编队',
+        'controlGroups.player': '玩家',
+        'controlGroups.hotkeySelects': '编队选择',
+        'controlGroups.cellTitle': '使用 {used} 次 · 设定 {assigned} 次 · 最后大小 {size}',
+        'controlGroups.units': '{count} 个单位',
+        'timeline.title': '建造顺序时间线',
+        'category.buildings': '建筑',
+        'category.upgrades': '升级',
+        'category.heroes': '英雄',
+        'category.units': '单位',
+        'category.items': '物品',
+        'timeline.perRow': '每行 {seconds} 秒',
+        'timeline.loading': '正在加载时间线...',
+        'timeline.unavailable': '该录像没有时间线',
+        'timeline.time': '时间',
+        'timeline.noEvents': '所选类别没有事件',
+        'chatLog.title': '聊天记录',
+        'chatLog.loading': '正在加载聊天...',
+        'chatLog.empty': '本场比赛没有聊天消息',
+        'compare.title': '录像对比',
+        'compare.loading': '正在对比录像...',
+        'compare.unavailable': '这些录像无法对比',
+        'compare.map': '地图:{map}',
+        'compare.matchup': '对阵:{matchup}',
+        'compare.duration': '时长:{duration}',
+        'compare.close': '关闭对比',
+        'compare.chartTitle': '{metric} — 🅰️ 实色 vs 🅱️ 淡色',
+        'compare.milestone': '里程碑',
+        'summary.title': '比赛摘要',
+        'summary.matchResult': '比赛结果',
+        'summary.winner': '胜者:{team}',
+        'summary.gameType': '游戏类型:{type}',
+        'summary.creator': '创建者:{creator}',
+        'summary.settings': '游戏设置',
+        'summary.speed': '速度:{speed}',
+        'summary.visibility': '可见性:{visibility}',
+        'summary.teamsLocked': '锁定队伍:{value}',
+        'summary.randomHero': '随机英雄:{value}',
+        'common.yes': '是',
+        'common.no': '否',
+        'common.unknown': '未知',
+        'actionsBar.download': '下载录像',
+        'actionsBar.selectDifferent': '选择其他文件',
+        'actionsBar.export': '导出分析',
+        'actionsBar.compare': '对比...',
+        'browser.selectCompare': '选择要对比的录像',
+        'browser.selectFile': '选择录像文件',
+        'browser.title': '浏览录像文件',
+        'browser.subtitle': '选择一个 .w3g 文件进行分析',
+        'upload.uploading': '正在上传...',
+        'upload.hint': '将 .w3g 文件或压缩的场次文件夹拖到这里,或点击上传',
+        'upload.uploaded': '已上传 {count} 个',
+        'upload.duplicates': '{count} 个已在录像库中',
+        'upload.rejected': '{count} 个被拒绝',
+        'browser.currentFolder': '当前文件夹',
+        'browser.wholeLibrary': '整个录像库',
+        'browser.searchFolder': '在当前文件夹中搜索...',
+        'search.player': '玩家',
+        'search.anyRace': '任意种族',
+        'search.hero': '英雄',
+        'search.map': '地图',
+        'search.gameType': '游戏类型',
+        'search.anyMode': '任意模式',
+        'search.players': '玩家数',
+        'search.minMinutes': '最短分钟',
+        'search.maxMinutes': '最长分钟',
+        'search.from': '开始日期',
+        'search.to': '结束日期',
+        'search.winner': '胜者',
+        'search.minApm': '最低 APM',
+        'search.maxApm': '最高 APM',
+        'search.sortDate': '按日期排序',
+        'search.sortDuration': '按时长排序',
+        'search.sortMap': '按地图排序',
+        'search.sortPlayers': '按玩家数排序',
+        'search.desc': '降序',
+        'search.asc': '升序',
+        'search.searching': '搜索中...',
+        'search.search': '搜索',
+        'search.reset': '重置',
+        'browser.loading': '正在加载录像文件...',
+        'search.noMatches': '没有符合条件的录像',
+        'browser.empty': '此目录中没有文件夹或 .w3g 文件',
+        'search.found': '在所有文件夹中找到 {count} 个录像',
+        'browser.folder': '文件夹',
+        'browser.cached': '已缓存',
+        'browser.notCounted': '未计入',
+        'browser.players': '{count} 名玩家',
+        'browser.savedBy': '保存者:{savers}',
+        'browser.countedCopy': '{count} 份录像中被计入的一份',
+        'browser.duplicate': '重复录像,统计使用 {path}',
+        'browser.playersLabel': '玩家:',
+        'browser.winnersLabel': '胜者:',
+        'browser.open': '打开',
+        'browser.selected': '已选择',
+        'browser.select': '选择',
+        'search.previous': '上一页',
+        'search.page': '第 {page} / {total} 页',
+        'search.next': '下一页',
+        'report.converting': '转换中…',
+        'report.cancelled': '转换已取消',
+        'report.complete': '转换完成',
+        'report.failed': '转换失败',
+        'report.progress': '{processed} / {total} 个文件({percent}%)',
+        'report.totalFiles': '文件总数',
+        'report.converted': '已转换',
+        'report.skipped': '已跳过',
+        'report.errors': '错误',
+        'report.failedFiles': '失败的文件',
+        'report.retryAll': '全部重试',
+        'report.retry': '重试',
+        'report.infoJson': 'JSON 文件会创建在 W3G 文件旁,以加快分析',
+        'report.infoFaster': '之后的分析会使用缓存的 JSON 数据,速度更快',
+        'report.infoSkipped': 'JSON 已是最新的文件会被自动跳过',
+        'report.errorDetails': '错误详情',
+        'report.solutions': '可能的解决方法:',
+        'report.solutionValid': '检查 W3G 文件是否有效且未损坏',
+        'report.solutionPermissions': '确保对该目录有写入权限',
+        'report.solutionIndividual': '尝试逐个转换文件以找出有问题的文件',
+        'report.solutionLogs': '查看服务器日志获取详细错误信息',
+        'report.cancel': '取消',
+        'report.gotIt': '知道了',
+        'report.tryAgain': '重试',
+        'pairwise.tooltipVersus': '{player} 对阵 {other}',
+        'pairwise.tooltipWith': '{player} 与 {other} 组队',
+        'pairwise.record': '{wins} 胜 - {losses} 负',
+        'result.letter.win': '胜',
+        'result.letter.loss': '负',
+        'result.letter.draw': '平',
+        'team.name': '队伍 {number}',
+        'team.observer': '观察者',
+        'milestone.firstHero': '首个英雄',
+        'milestone.firstHeroShort': '英雄',
+        'milestone.tier2': '二本',
+        'milestone.tier2Short': '二本',
+        'milestone.expansion': '首个分矿',
+        'milestone.expansionShort': '分矿',
+        'milestone.secondHero': '第二英雄',
+        'milestone.secondHeroShort': '二英雄',
+        'milestone.tier3': '三本',
+        'milestone.tier3Short': '三本',
+        'errors.loadDirectory': '加载目录失败',
+        'errors.network': '网络错误:{message}',
+        'errors.search': '搜索失败',
+        'errors.conversion': '转换失败',
+        'errors.upload': '上传失败',
+        'errors.saveAlias': '保存别名失败',
+        'errors.removeAlias': '删除别名失败',
+        'report.cancelledMessage': '转换已取消',
+        'report.completedMessage': '转换过程已完成',
+        'report.retryingMessage': '正在重试失败的文件',
+        'live.newReplay': '已分析新录像:{name}'
+    }
+}
@@ -0,0 +1,58 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { getGameMode, getExclusionReason } = require('../index')
+
+// Function to build the analysis data of a game from its players
+function createGame(players, length = 20 * 60 * 1000) {
+    return {
+        header: { length },
+        game: { type: 'Custom game', map: 'Maps\\(2)EchoIsles.w3x', random_seed: 1 },
+        teams: players.map((player, slot) => ({ [slot + 1]: player }))
+    }
+}
+
+test('classifies and counts a 1v1 against a computer player', () => {
+    const game = createGame([
+        { name: 'Neko', team: 0, actions: 1096, computer: 0 },
+        { name: 'Computer', team: 1, actions: 0, computer: 1, ai_strength: 'Insane' }
+    ])
+
+    assert.strictEqual(getGameMode(game), 'vs-ai')
+    assert.strictEqual(getExclusionReason(game), null)
+})
+
+test('classifies a 1v1 between humans and leaves observers out', () => {
+    const game = createGame([
+        { name: 'Neko', team: 0, actions: 1096, computer: 0 },
+        { name: 'txd', team: 1, actions: 1068, computer: 0 },
+        { name: 'Watcher', team: 12, actions: 40, computer: 0 }
+    ])
+
+    assert.strictEqual(getGameMode(game), '1v1')
+    assert.strictEqual(getExclusionReason(game), null)
+})
+
+test('classifies team games by their team sizes', () => {
+    const game = createGame([
+        { name: 'A', team: 0, actions: 500, computer: 0 },
+        { name: 'B', team: 0, actions: 500, computer: 0 },
+        { name: 'C', team: 1, actions: 500, computer: 0 },
+        { name: 'D', team: 1, actions: 500, computer: 0 }
+    ])
+
+    assert.strictEqual(getGameMode(game), '2v2')
+})
+
+test('excludes games with a single player or too short to count', () => {
+    const alone = createGame([
+        { name: 'Neko', team: 0, actions: 1096, computer: 0 },
+        { name: 'Watcher', team: 12, actions: 40, computer: 0 }
+    ])
+    const short = createGame([
+        { name: 'Neko', team: 0, actions: 10, computer: 0 },
+        { name: 'txd', team: 1, actions: 10, computer: 0 }
+    ], 30 * 1000)
+
+    assert.strictEqual(getExclusionReason(alone), 'Fewer than two players took part')
+    assert.match(getExclusionReason(short), /^Game lasted only/)
+})
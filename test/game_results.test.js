@@ -0,0 +1,87 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { inferGameResult } = require('../index')
+
+const GAME_LENGTH = 20 * 60 * 1000
+const LEAVE_REASON_REMOTE = 0x01
+const LEAVE_REASON_LOCAL = 0x0c
+const LEAVE_RESULT_DISCONNECT = 0x01
+const LEAVE_RESULT_DRAW = 0x0a
+
+// Function to build the analysis data of a 1v1 between Neko (team 0) and txd (team 1)
+// `saverId` is the player who recorded the game (null if unknown), the recording ends when the saver leaves
+function createGame({ neko = {}, txd = {}, saverId = 1, winnerTeam, chat = [] } = {}) {
+    return {
+        header: { length: GAME_LENGTH },
+        game: { saver_id: saverId, winner_team: winnerTeam },
+        teams: [
+            { 1: { player_id: 1, name: 'Neko', team: 0, actions: 1000, computer: 0, time: GAME_LENGTH, ...neko } },
+            { 2: { player_id: 2, name: 'txd', team: 1, actions: 1000, computer: 0, time: GAME_LENGTH, ...txd } }
+        ],
+        chat
+    }
+}
+
+test('reports a draw when a player left with a draw', () => {
+    const result = inferGameResult(createGame({ txd: { leave_reason: LEAVE_REASON_REMOTE, leave_result: LEAVE_RESULT_DRAW } }))
+
+    assert.strictEqual(result.outcome, 'draw')
+    assert.strictEqual(result.winnerTeam, null)
+})
+
+test('gives the win to the opponent when the saver left early', () => {
+    const result = inferGameResult(createGame({ txd: { leave_reason: LEAVE_REASON_LOCAL }, winnerTeam: 0 }))
+
+    assert.strictEqual(result.outcome, 'win')
+    assert.strictEqual(result.winnerTeam, 1)
+    assert.strictEqual(result.confidence, 'medium')
+    assert.ok(result.evidence.includes('The parser recorded Team 1 as the winner'))
+})
+
+test('counts leaving before the end of the recording as evidence', () => {
+    const atEnd = inferGameResult(createGame({ txd: { leave_reason: LEAVE_REASON_REMOTE } }))
+    const early = inferGameResult(createGame({ txd: { leave_reason: LEAVE_REASON_REMOTE, time: GAME_LENGTH - 90 * 1000 } }))
+
+    assert.strictEqual(atEnd.winnerTeam, 0)
+    assert.strictEqual(atEnd.confidence, 'medium')
+    assert.strictEqual(early.winnerTeam, 0)
+    assert.strictEqual(early.confidence, 'high')
+    assert.ok(early.evidence.includes('Team 2 left 1:30 before the recording ended'))
+})
+
+test('weighs a disconnect less than leaving the game', () => {
+    const result = inferGameResult(createGame({
+        txd: { leave_reason: LEAVE_REASON_REMOTE, leave_result: LEAVE_RESULT_DISCONNECT, time: GAME_LENGTH - 90 * 1000 }
+    }))
+
+    assert.strictEqual(result.winnerTeam, 0)
+    assert.strictEqual(result.confidence, 'low')
+    assert.deepStrictEqual(result.evidence, ['Team 2 left the game first, with a disconnect'])
+})
+
+test('falls back on the first "gg" when the leave order is unknown', () => {
+    const result = inferGameResult(createGame({
+        saverId: null,
+        neko: { leave_reason: LEAVE_REASON_LOCAL },
+        txd: { leave_reason: LEAVE_REASON_LOCAL },
+        chat: [{ player_id: 2, time: GAME_LENGTH - 5000, message: 'gg' }]
+    }))
+
+    assert.strictEqual(result.outcome, 'win')
+    assert.strictEqual(result.winnerTeam, 0)
+    assert.strictEqual(result.confidence, 'low')
+})
+
+test('falls back on the recorded winner without any other evidence', () => {
+    const result = inferGameResult(createGame({
+        saverId: null,
+        neko: { leave_reason: LEAVE_REASON_LOCAL },
+        txd: { leave_reason: LEAVE_REASON_LOCAL },
+        winnerTeam: 1
+    }))
+
+    assert.strictEqual(result.outcome, 'win')
+    assert.strictEqual(result.winnerTeam, 1)
+    assert.strictEqual(result.confidence, 'low')
+    assert.deepStrictEqual(result.evidence, ["Only the parser's recorded winner is known"])
+})
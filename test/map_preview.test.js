@@ -0,0 +1,60 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const path = require('path')
+const zlib = require('zlib')
+const { decodeTga, encodePng, getMapPreview } = require('../map_preview')
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// Function to split a PNG image into its chunks
+function readPngChunks(png) {
+    const chunks = []
+
+    for (let offset = PNG_SIGNATURE.length; offset < png.length;) {
+        const length = png.readUInt32BE(offset)
+        chunks.push({
+            type: png.toString('ascii', offset + 4, offset + 8),
+            data: png.subarray(offset + 8, offset + 8 + length),
+            crc: png.readUInt32BE(offset + 8 + length),
+            body: png.subarray(offset + 4, offset + 8 + length)
+        })
+        offset += 12 + length
+    }
+
+    return chunks
+}
+
+test('decodes a bottom-to-top true-color TGA image', () => {
+    // 2x2 BGR image, the first row in the file is the bottom row
+    const header = Buffer.alloc(18)
+    header[2] = 2
+    header.writeUInt16LE(2, 12)
+    header.writeUInt16LE(2, 14)
+    header[16] = 24
+    const rows = Buffer.from([0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255])
+
+    const image = decodeTga(Buffer.concat([header, rows]))
+
+    assert.strictEqual(image.width, 2)
+    assert.strictEqual(image.height, 2)
+    assert.deepStrictEqual([...image.pixels], [0, 0, 255, 255, 255, 255, 255, 255, 255, 0, 0, 255, 0, 255, 0, 255])
+})
+
+test('encodes RGBA pixels as a valid PNG image', () => {
+    const pixels = Buffer.from([255, 0, 0, 255, 0, 0, 255, 128])
+    const png = encodePng({ width: 2, height: 1, pixels })
+    const chunks = readPngChunks(png)
+
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE)
+    assert.deepStrictEqual(chunks.map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND'])
+    chunks.forEach(chunk => assert.strictEqual(chunk.crc, zlib.crc32(chunk.body)))
+    assert.deepStrictEqual(zlib.inflateSync(chunks[1].data), Buffer.concat([Buffer.from([0]), pixels]))
+})
+
+test('reads the preview of a map stored next to the replays', () => {
+    const png = getMapPreview(path.join(__dirname, '..', 'replay', 'Replay_2025_05_29_1308', '(4)TwistedMeadows.w3x'))
+    const header = readPngChunks(png)[0].data
+
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE)
+    assert.ok(header.readUInt32BE(0) > 0 && header.readUInt32BE(4) > 0)
+})
@@ -0,0 +1,33 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { decodeMojibake, normalizeReplayText } = require('../replay_text')
+
+// Latin-1 view of the UTF-8 bytes of a string, the way the parser reads them
+const misdecode = text => Buffer.from(text, 'utf8').toString('latin1')
+
+test('re-decodes UTF-8 text that was read as Latin-1', () => {
+    assert.strictEqual(decodeMojibake(misdecode('当地局域网内的游戏')), '当地局域网内的游戏')
+    assert.strictEqual(decodeMojibake(misdecode('Müller')), 'Müller')
+})
+
+test('drops a UTF-8 character cut off at the end', () => {
+    assert.strictEqual(decodeMojibake(misdecode('当地').slice(0, -1)), '当')
+})
+
+test('keeps Latin-1 names that end in an accented character', () => {
+    assert.strictEqual(decodeMojibake('Café'), 'Café')
+    assert.strictEqual(decodeMojibake('José'), 'José')
+    assert.strictEqual(decodeMojibake('Müller'), 'Müller')
+})
+
+test('leaves ASCII and already decoded text alone', () => {
+    assert.strictEqual(decodeMojibake('Neko'), 'Neko')
+    assert.strictEqual(decodeMojibake('当地'), '当地')
+})
+
+test('decodes string values and keys of nested data', () => {
+    assert.deepStrictEqual(
+        normalizeReplayText({ [misdecode('Mü')]: [misdecode('ä'), 1, null, 'José'] }),
+        { 'Mü': ['ä', 1, null, 'José'] }
+    )
+})